@@ -0,0 +1,133 @@
+/**
+ * Migration Script: copy events and bin collections into the per-household tables
+ * Run with: node migrate-household-tables.js [--stage dev] [--household default] [--dry-run]
+ *
+ * Before households, events were keyed by `date` (+ `id`) and bin collections
+ * by `date` (+ `service`). This copies every row of those tables, as it is
+ * (ids, positions, wrap flags, times, completion), into the household tables
+ * under `pk` = "{household}#{date}". Rows already copied are skipped, so it
+ * can be run again; the old tables are left untouched.
+ *
+ * Table names default to the stage's (quote0-api-{stage}-events etc.) and can
+ * be set with LEGACY_EVENTS_TABLE, EVENTS_TABLE, LEGACY_BIN_COLLECTION_TABLE
+ * and BIN_COLLECTION_TABLE.
+ */
+
+require('dotenv').config();
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, ScanCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Create DynamoDB client
+const client = new DynamoDBClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const docClient = DynamoDBDocumentClient.from(client, {
+  marshallOptions: {
+    removeUndefinedValues: true,
+    convertEmptyValues: false
+  }
+});
+
+/**
+ * Read a --name value (or a bare --flag) from the command line
+ */
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  const value = process.argv[index + 1];
+  return value && !value.startsWith('--') ? value : true;
+}
+
+/**
+ * Copy every row of one table into another under the household partition key
+ * @param {string} from - Old table (keyed by date)
+ * @param {string} to - Household table (keyed by pk)
+ * @param {string} householdId - Household the rows belong to
+ * @param {boolean} dryRun - Count the rows without writing them
+ * @returns {Promise<Object>} { scanned, copied, skipped }
+ */
+async function copyTable(from, to, householdId, dryRun) {
+  console.log(`Copying ${from} → ${to}${dryRun ? ' (dry run)' : ''}...`);
+
+  const counts = { scanned: 0, copied: 0, skipped: 0 };
+  let exclusiveStartKey;
+
+  do {
+    const response = await docClient.send(new ScanCommand({
+      TableName: from,
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+
+    for (const item of response.Items || []) {
+      counts.scanned++;
+
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(item.date || '')) {
+        console.warn('  Skipping row without a valid date:', item);
+        counts.skipped++;
+        continue;
+      }
+
+      if (dryRun) {
+        counts.copied++;
+        continue;
+      }
+
+      try {
+        await docClient.send(new PutCommand({
+          TableName: to,
+          Item: { ...item, pk: `${householdId}#${item.date}`, household_id: householdId },
+          ConditionExpression: 'attribute_not_exists(pk)'
+        }));
+        counts.copied++;
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') throw error;
+        counts.skipped++; // Copied by an earlier run
+      }
+    }
+
+    exclusiveStartKey = response.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  console.log(`✅ ${counts.scanned} scanned, ${counts.copied} copied, ${counts.skipped} skipped`);
+  return counts;
+}
+
+async function migrate() {
+  const stage = getArg('stage', 'dev');
+  const householdId = getArg('household', 'default');
+  const dryRun = getArg('dry-run', false) === true;
+  const prefix = `quote0-api-${stage}`;
+
+  console.log('================================================================================');
+  console.log('MIGRATING TO PER-HOUSEHOLD TABLES');
+  console.log(`Stage: ${stage}, household: ${householdId}`);
+  console.log('================================================================================');
+
+  try {
+    await copyTable(
+      process.env.LEGACY_EVENTS_TABLE || `${prefix}-events`,
+      process.env.EVENTS_TABLE || `${prefix}-household-events`,
+      householdId,
+      dryRun
+    );
+    await copyTable(
+      process.env.LEGACY_BIN_COLLECTION_TABLE || `${prefix}-bin-collection`,
+      process.env.BIN_COLLECTION_TABLE || `${prefix}-household-bin-collection`,
+      householdId,
+      dryRun
+    );
+
+    console.log('');
+    console.log('✅ MIGRATION COMPLETED');
+    process.exit(0);
+  } catch (error) {
+    console.error('');
+    console.error('❌ MIGRATION FAILED');
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+migrate();
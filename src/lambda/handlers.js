@@ -3,26 +3,102 @@
  * 
  * Handles:
  * - POST /api/events - iPhone app creates events and updates Quote/0
- * - Scheduled updates - EventBridge triggers at 01:10 UTC daily
+ * - GET /api/events - List stored events for a date range
+ * - PUT/DELETE /api/events/{date}/{id} - Edit or remove a single event
+ * - POST/DELETE /api/events/{date}/{id}/complete - Mark an event as done, or undo it
+ * - /api/recurring-events - Create, list and delete recurring event definitions
+ * - POST /api/events/import - Import events from an iCalendar (.ics) file
+ * - GET /api/calendar.ics - iCalendar feed of events and bin collections
+ * - POST /api/bins/ack - Mark tomorrow's bins as put out
+ * - GET /api/bins/changes - Changes found in the bin collection schedule
+ * - GET /api/pushes - History of updates sent to Quote/0
+ * - /api/keys - Create, list and revoke scoped API keys (admin scope)
+ * - Scheduled updates - EventBridge triggers at 07:10, 12:10 and 17:10 UTC (morning, midday and
+ *   evening schedule slots), for every household
+ * - Pending push retries - EventBridge triggers every 5 minutes
+ * - Reminders for timed events - EventBridge triggers every 5 minutes
  */
 
 const binCollectionDbService = require('../services/binCollectionDbService');
 const dynamoDbService = require('../services/dynamoDbService');
 const displayFormatterService = require('../services/displayFormatterService');
-const quote0ClientService = require('../services/quote0ClientService');
+const recurringEventService = require('../services/recurringEventService');
+const icalService = require('../services/icalService');
+const householdService = require('../services/householdService');
+const textSanitizerService = require('../services/textSanitizerService');
+const templateService = require('../services/templateService');
+const apiKeyService = require('../services/apiKeyService');
+const pushHistoryService = require('../services/pushHistoryService');
+const reminderService = require('../services/reminderService');
+const binChangeService = require('../services/binChangeService');
+const dateUtils = require('../utils/dateUtils');
 const scheduledUpdateService = require('../services/scheduledUpdateService');
+const scheduleSlotService = require('../services/scheduleSlotService');
 
-const API_AUTH_TOKEN = process.env.API_AUTH_TOKEN;
+const ALLOW_UNAUTHENTICATED = process.env.ALLOW_UNAUTHENTICATED === 'true';
 
-function authorize(event) {
-  if (!API_AUTH_TOKEN) return null;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PUSH_PAGE_SIZE = 20;
+const MAX_RANGE_DAYS = 366;
+const WRITE_MODES = ['append', 'replace'];
+// Push outcomes after which the device shows the current display
+const DISPLAY_CURRENT = ['pushed', 'unchanged'];
+const MAX_BATCH_EVENTS = 100;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_REMIND_BEFORE = 24 * 60;
+
+/**
+ * Check the request's Bearer token, resolve the household it belongs to and
+ * enforce the endpoint's scope
+ *
+ * Accepts named API keys (q0_..., see apiKeyService) and the legacy tokens
+ * (API_AUTH_TOKEN and households' api_token_hash), which have every scope.
+ * Requests without a token are rejected unless ALLOW_UNAUTHENTICATED=true.
+ * @param {Object} event - API Gateway event
+ * @param {Object} [options]
+ * @param {string} [options.scope] - Scope the endpoint requires
+ * @param {boolean} [options.allowQueryToken=false] - Also accept ?token= (for calendar
+ *   subscriptions, which cannot send headers)
+ * A failing key or household lookup is returned as a 500 response, like the
+ * handlers' other errors.
+ * @returns {Promise<{household: Object, scopes: Array<string>}|{error: Object}>} The household, or an error response
+ */
+async function authorize(event, options) {
+  try {
+    return await resolveAuthorization(event, options);
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[Auth] Error authorizing request:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return {
+      error: jsonResponse(500, { error: 'Internal server error', message: error.message })
+    };
+  }
+}
+
+/**
+ * Resolve the household and scopes of a request (see authorize)
+ * @param {Object} event - API Gateway event
+ * @param {Object} [options] - { scope, allowQueryToken }
+ * @returns {Promise<{household: Object, scopes: Array<string>}|{error: Object}>} The household, or an error response
+ * @throws {Error} If the API key or household lookup fails
+ */
+async function resolveAuthorization(event, { scope, allowQueryToken = false } = {}) {
+  const queryToken = allowQueryToken ? event.queryStringParameters?.token : undefined;
+  const authHeader = event.headers?.authorization || event.headers?.Authorization ||
+    (queryToken ? `Bearer ${queryToken}` : undefined);
 
-  const authHeader = event.headers?.authorization || event.headers?.Authorization;
   if (!authHeader) {
+    if (ALLOW_UNAUTHENTICATED) {
+      console.warn('ALLOW_UNAUTHENTICATED is set: treating request as the default household with every scope');
+      return { household: await householdService.getHousehold('default'), scopes: ['admin'] };
+    }
+
     return {
-      statusCode: 401,
-      headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
-      body: JSON.stringify({ error: 'Unauthorized', message: 'Missing Authorization header' })
+      error: jsonResponse(401, { error: 'Unauthorized', message: 'Missing Authorization header' })
     };
   }
 
@@ -30,17 +106,168 @@ function authorize(event) {
     ? authHeader.slice(7)
     : authHeader;
 
-  if (token !== API_AUTH_TOKEN) {
+  let household = null;
+  let scopes = [];
+
+  if (apiKeyService.isApiKey(token)) {
+    const { key, error } = await apiKeyService.verifyKey(token);
+    if (error) {
+      return { error: jsonResponse(403, { error: 'Forbidden', message: error }) };
+    }
+    household = await householdService.getHousehold(key.household_id);
+    scopes = key.scopes;
+    console.log(`Authorized with API key ${key.key_id} (${key.name})`);
+  } else {
+    household = await householdService.getHouseholdByToken(token);
+    scopes = ['admin'];
+  }
+
+  if (!household) {
+    return { error: jsonResponse(403, { error: 'Forbidden', message: 'Invalid API token' }) };
+  }
+
+  if (scope && !apiKeyService.hasScope(scopes, scope)) {
     return {
-      statusCode: 403,
-      headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
-      body: JSON.stringify({ error: 'Forbidden', message: 'Invalid API token' })
+      error: jsonResponse(403, { error: 'Forbidden', message: `API key lacks the required scope '${scope}'` })
     };
   }
 
+  return { household, scopes };
+}
+
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
+    body: JSON.stringify(body)
+  };
+}
+
+/**
+ * Normalize a date (YYYY/MM/DD → YYYY-MM-DD)
+ * @param {string} date - Date in YYYY/MM/DD or YYYY-MM-DD format
+ * @returns {string|null} Normalized date, or null if the format is invalid
+ */
+function normalizeDate(date) {
+  const normalized = String(date).replace(/\//g, '-');
+  return /^\d{4}-\d{2}-\d{2}$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Validate event text against the Quote/0 message area
+ * (max 84 chars for 3 lines of 27 chars + line breaks)
+ * The text is checked as it will be shown, i.e. after sanitizing.
+ * @param {string} eventText - Event text, may contain \n line breaks
+ * @returns {string|null} Error message, or null if the text fits
+ */
+function validateEventText(eventText) {
+  eventText = textSanitizerService.sanitize(eventText).text;
+
+  if (eventText.length > 84) {
+    return 'Event text exceeds maximum length of 84 characters';
+  }
+
+  const lines = eventText.split('\n');
+  for (const [index, line] of lines.entries()) {
+    if (line.length > 27+1) { // 27 chars + 1 for line break logic
+      return `Line ${index + 1} exceeds maximum length of 27 characters`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Pick the timing fields of an event from a request body
+ * @param {Object} body - Request body (or batch entry)
+ * @returns {Object} { start_time, end_time, remind_before } (fields not in the body are undefined)
+ */
+function pickEventTiming(body) {
+  return {
+    start_time: body?.start_time,
+    end_time: body?.end_time,
+    remind_before: body?.remind_before
+  };
+}
+
+/**
+ * Validate the optional timing of an event
+ * @param {Object} timing - { start_time, end_time, remind_before } (undefined or null fields are unset)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateEventTiming({ start_time: startTime, end_time: endTime, remind_before: remindBefore }) {
+  for (const [field, value] of [['start_time', startTime], ['end_time', endTime]]) {
+    if (value != null && (typeof value !== 'string' || !TIME_PATTERN.test(value))) {
+      return `${field} must be a time in HH:MM format (24-hour)`;
+    }
+  }
+
+  if (remindBefore != null && (!Number.isInteger(remindBefore) || remindBefore < 1 || remindBefore > MAX_REMIND_BEFORE)) {
+    return `remind_before must be a whole number of minutes from 1 to ${MAX_REMIND_BEFORE}`;
+  }
+
+  if (startTime == null && (endTime != null || remindBefore != null)) {
+    return 'end_time and remind_before need a start_time';
+  }
+
+  if (endTime != null && endTime <= startTime) {
+    return 'end_time must be after start_time';
+  }
+
   return null;
 }
 
+/**
+ * Refresh a household's Quote/0 if a change touched the day it shows
+ * (today, or tomorrow after an evening schedule slot)
+ * @param {Object} household - Household the change belongs to
+ * @param {function(string): boolean} affects - Whether the change touched the events of a date (YYYY-MM-DD)
+ * @param {string} trigger - What changed, for the push history (e.g. 'updateEvent')
+ * @returns {Promise<Object>} { updated, push } - whether the device shows the change, and the push status if a push was attempted
+ */
+async function refreshIfShown(household, affects, trigger) {
+  try {
+    const { date: shown } = await scheduledUpdateService.getCurrentSlot(household);
+    if (!affects(shown)) {
+      console.log(`Change does not touch the displayed day (${shown}), skipping Quote/0 update`);
+      return { updated: false };
+    }
+
+    console.log('');
+    console.log(`Change touches the displayed day (${shown}), triggering Quote/0 update...`);
+
+    const { push } = await scheduledUpdateService.refreshDisplay(household, { trigger });
+    console.log(`Quote/0 refresh finished (push ${push})`);
+    return { updated: DISPLAY_CURRENT.includes(push), push };
+  } catch (updateError) {
+    console.error('Error updating Quote/0:', updateError.message);
+    // Don't fail the request if Quote/0 update fails
+    return { updated: false };
+  }
+}
+
+/**
+ * Encode a DynamoDB key as an opaque pagination cursor
+ */
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor back into a DynamoDB key
+ * @param {string} cursor - Cursor from encodeCursor()
+ * @param {Array<string>} [fields] - String fields the key must have
+ * @returns {Object|null} Decoded key, or null if the cursor is malformed
+ */
+function decodeCursor(cursor, fields = ['date', 'id']) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return key && fields.every(field => typeof key[field] === 'string') ? key : null;
+  } catch (e) {
+    return null;
+  }
+}
+
 /**
  * POST /api/events
  * Creates a new event in DynamoDB and immediately updates Quote/0 display
@@ -50,7 +277,7 @@ exports.createEvent = async (event) => {
   console.log('[POST /api/events] Request received');
   console.log('='.repeat(80));
 
-  const authError = authorize(event);
+  const { household, error: authError } = await authorize(event, { scope: 'events:write' });
   if (authError) return authError;
 
   try {
@@ -69,8 +296,9 @@ exports.createEvent = async (event) => {
       };
     }
 
-    const { date, event: eventText } = body;
-    console.log('Request data:', { date, event: eventText });
+    const { date, event: eventText, mode = 'replace', wrap = false, carry_over: carryOver } = body;
+    const timing = pickEventTiming(body);
+    console.log('Request data:', { date, event: eventText, mode, wrap, ...timing, carry_over: carryOver });
 
     // Validation - required fields
     if (!date) {
@@ -95,6 +323,51 @@ exports.createEvent = async (event) => {
       };
     }
 
+    if (!WRITE_MODES.includes(mode)) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Bad Request',
+          message: "Invalid mode. Use 'append' or 'replace'"
+        })
+      };
+    }
+
+    if (typeof wrap !== 'boolean') {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Bad Request',
+          message: 'wrap must be true or false'
+        })
+      };
+    }
+
+    const timingError = validateEventTiming(timing);
+    if (timingError) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Bad Request',
+          message: timingError
+        })
+      };
+    }
+
+    if (carryOver !== undefined && typeof carryOver !== 'boolean') {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Bad Request',
+          message: 'carry_over must be true or false'
+        })
+      };
+    }
+
     // Normalize date format (YYYY/MM/DD → YYYY-MM-DD)
     const normalizedDate = date.replace(/\//g, '-');
     console.log('Normalized date:', normalizedDate);
@@ -111,59 +384,51 @@ exports.createEvent = async (event) => {
       };
     }
 
-    // Validate event text length (max 84 chars for 3 lines of 27 chars + 3 line breaks)
-    if (eventText.length > 84) {
+    // Validate the text as the device will show it (e.g. "&" becomes "+")
+    const { text: sanitizedText, changes: sanitized } = textSanitizerService.sanitize(eventText);
+
+    // With wrap, the text is word-wrapped to fit and stored exactly as it will be shown
+    const wrapped = wrap ? displayFormatterService.wrapText(sanitizedText) : null;
+    const displayText = wrapped ? wrapped.text : sanitizedText;
+
+    if (!displayText.trim()) {
       return {
         statusCode: 422,
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           error: 'Unprocessable Entity',
-          message: 'Event text exceeds maximum length of 84 characters'
+          message: 'Event text has no characters the display can show'
         })
       };
     }
-    
-    // Validate individual line lengths
-    const lines = eventText.split('\n');
-    for (const line of lines) {
-      if (line.length > 27+1) { // 27 chars + 1 for line break logic
-        return {
-          statusCode: 422,
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            error: 'Unprocessable Entity',
-            message: 'A line of event text exceeds maximum length of 27 characters'
-          })
-        };
-      }
+
+    // Validate event text length (max 84 chars for 3 lines of 27 chars + 3 line breaks)
+    const textError = validateEventText(displayText);
+    if (textError) {
+      return {
+        statusCode: 422,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Unprocessable Entity',
+          message: textError
+        })
+      };
     }
 
-    // Step 1: Check if an event already exists for this date
-    console.log(`Checking for existing events on ${normalizedDate}...`);
-    const createdEvent = await dynamoDbService.upsertEvent(normalizedDate, eventText);
+    // Step 1: Append to, or replace, the events already stored for this date
+    console.log(`Checking for existing events on ${normalizedDate} (mode: ${mode})...`);
+    const createdEvent = await dynamoDbService.upsertEvent(household.id, normalizedDate, wrapped ? wrapped.text : eventText, mode, { ...timing, carry_over: carryOver });
     console.log('Event processed successfully:', createdEvent);
+    await reminderService.scheduleForEvent(household, createdEvent);
 
-    // Step 2-6: Immediately update Quote/0 display (run steps 3-7 from scheduled service)
+    // Step 2-6: Immediately update Quote/0 display (run steps 3-6 from scheduled service)
     console.log('');
     console.log('Triggering Quote/0 update after event creation...');
     
+    let quote0Push;
     try {
-      // Step 3: Query tomorrow's bin collections from database
-      const binCollections = await binCollectionDbService.getTomorrowCollections();
-      console.log(`Found ${binCollections.length} bin collections for tomorrow`);
-
-      // Step 4: Query today's events
-      const today = new Date().toISOString().split('T')[0];
-      const events = await dynamoDbService.getEventsByDate(today);
-      console.log(`Found ${events.length} events for today`);
-
-      // Step 5: Format display data
-      const displayData = displayFormatterService.formatDisplayFromDb(events, binCollections);
-      console.log('Display data formatted');
-
-      // Step 6: Push to Quote/0
-      await quote0ClientService.updateDisplay(displayData);
-      console.log('Quote/0 updated successfully');
+      ({ push: quote0Push } = await scheduledUpdateService.refreshDisplay(household, { trigger: 'createEvent' }));
+      console.log(`Quote/0 refresh finished (push ${quote0Push})`);
     } catch (updateError) {
       console.error('Error updating Quote/0:', updateError.message);
       // Don't fail the request if Quote/0 update fails
@@ -178,7 +443,10 @@ exports.createEvent = async (event) => {
       },
       body: JSON.stringify({
         ...createdEvent,
-        quote0_updated: true
+        quote0_updated: DISPLAY_CURRENT.includes(quote0Push),
+        ...(quote0Push && { quote0_push: quote0Push }),
+        ...(sanitized.length > 0 && { sanitized }),
+        ...(wrapped && { wrapped: { lines: wrapped.lines, truncated: wrapped.truncated } })
       })
     };
   } catch (error) {
@@ -210,7 +478,7 @@ exports.createEventsBatch = async (event) => {
   console.log('[POST /api/events/batch] Request received');
   console.log('='.repeat(80));
 
-  const authError = authorize(event);
+  const { household, error: authError } = await authorize(event, { scope: 'events:write' });
   if (authError) return authError;
 
   try {
@@ -229,8 +497,8 @@ exports.createEventsBatch = async (event) => {
       };
     }
 
-    const { events } = body;
-    console.log('Request data:', { eventCount: events?.length });
+    const { events, mode = 'replace', wrap = false } = body;
+    console.log('Request data:', { eventCount: events?.length, mode, wrap });
 
     // Validation - required fields
     if (!events || !Array.isArray(events)) {
@@ -267,9 +535,33 @@ exports.createEventsBatch = async (event) => {
       };
     }
 
+    if (!WRITE_MODES.includes(mode)) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Bad Request',
+          message: "Invalid mode. Use 'append' or 'replace'"
+        })
+      };
+    }
+
+    if (typeof wrap !== 'boolean') {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Bad Request',
+          message: 'wrap must be true or false'
+        })
+      };
+    }
+
     // Validate each event
     const validationErrors = [];
+    const warnings = [];
     const normalizedEvents = [];
+    const firstIndexByDate = new Map();
 
     for (let i = 0; i < events.length; i++) {
       const evt = events[i];
@@ -294,29 +586,50 @@ exports.createEventsBatch = async (event) => {
         continue;
       }
 
-      // Validate event text length (max 37 chars for 3 lines of 27 chars + 3 line breaks)
-      if (evt.event.length > 84) {
-        validationErrors.push(`Event ${i}: Event text exceeds maximum length of 84 characters`);
+      const timing = pickEventTiming(evt);
+      const timingError = validateEventTiming(timing);
+      if (timingError) {
+        validationErrors.push(`Event ${i}: ${timingError}`);
         continue;
       }
 
-      // Validate individual line lengths
-      const lines = evt.event.split('\n');
-      let lineErrorFound = false;
+      if (evt.carry_over !== undefined && typeof evt.carry_over !== 'boolean') {
+        validationErrors.push(`Event ${i}: carry_over must be true or false`);
+        continue;
+      }
 
-      for (const [index, line] of lines.entries()) {
-        if (line.length > 27+1) { // 27 + 1
-          validationErrors.push(`Event ${i}: Line ${index + 1} exceeds maximum length of 27 characters`);
-          lineErrorFound = true;
-          break; // We found an error for this event, stop checking lines and move on
+      // Word-wrap when asked to (per event, defaulting to the batch's wrap),
+      // otherwise validate event text length and individual line lengths
+      let eventText = evt.event;
+      if (evt.wrap ?? wrap) {
+        const wrapped = displayFormatterService.wrapText(textSanitizerService.sanitize(evt.event).text);
+        if (!wrapped.text.trim()) {
+          validationErrors.push(`Event ${i}: Event text has no characters the display can show`);
+          continue;
+        }
+        if (wrapped.truncated) {
+          warnings.push(`Event ${i}: Text was shortened to fit the display ("${wrapped.lines[wrapped.lines.length - 1]}")`);
+        }
+        eventText = wrapped.text;
+      } else {
+        const textError = validateEventText(evt.event);
+        if (textError) {
+          validationErrors.push(`Event ${i}: ${textError}`);
+          continue;
         }
       }
-      
-      if (lineErrorFound) continue; // Skip pushing to normalizedEvents and go to next event
+
+      // In replace mode a later event for the same date replaces an earlier one
+      if (mode === 'replace' && firstIndexByDate.has(normalizedDate)) {
+        warnings.push(`Event ${i}: Replaces event ${firstIndexByDate.get(normalizedDate)} for ${normalizedDate} (use mode 'append' to keep both)`);
+      }
+      firstIndexByDate.set(normalizedDate, i);
 
       normalizedEvents.push({
         date: normalizedDate,
-        event: evt.event
+        event: eventText,
+        ...timing,
+        carry_over: evt.carry_over
       });
     }
 
@@ -335,35 +648,26 @@ exports.createEventsBatch = async (event) => {
 
     // Step 1: Create all events in DynamoDB
     console.log(`Creating ${normalizedEvents.length} events...`);
-    const batchResult = await dynamoDbService.createEventsBatch(normalizedEvents);
+    const batchResult = await dynamoDbService.createEventsBatch(household.id, normalizedEvents, mode);
     console.log('Batch creation complete:', {
       succeeded: batchResult.succeeded,
       failed: batchResult.failed
     });
 
-    // Step 2-6: Immediately update Quote/0 display (run steps 3-7 from scheduled service)
+    for (const created of batchResult.created) {
+      await reminderService.scheduleForEvent(household, created);
+    }
+
+    // Step 2-6: Immediately update Quote/0 display (run steps 3-6 from scheduled service)
     console.log('');
     console.log('Triggering Quote/0 update after batch creation...');
     
     let quote0Updated = false;
+    let quote0Push;
     try {
-      // Step 3: Query tomorrow's bin collections from database
-      const binCollections = await binCollectionDbService.getTomorrowCollections();
-      console.log(`Found ${binCollections.length} bin collections for tomorrow`);
-
-      // Step 4: Query today's events
-      const today = new Date().toISOString().split('T')[0];
-      const todayEvents = await dynamoDbService.getEventsByDate(today);
-      console.log(`Found ${todayEvents.length} events for today`);
-
-      // Step 5: Format display data
-      const displayData = displayFormatterService.formatDisplayFromDb(todayEvents, binCollections);
-      console.log('Display data formatted');
-
-      // Step 6: Push to Quote/0
-      await quote0ClientService.updateDisplay(displayData);
-      console.log('Quote/0 updated successfully');
-      quote0Updated = true;
+      ({ push: quote0Push } = await scheduledUpdateService.refreshDisplay(household, { trigger: 'batch' }));
+      console.log(`Quote/0 refresh finished (push ${quote0Push})`);
+      quote0Updated = DISPLAY_CURRENT.includes(quote0Push);
     } catch (updateError) {
       console.error('Error updating Quote/0:', updateError.message);
       // Don't fail the request if Quote/0 update fails
@@ -381,10 +685,12 @@ exports.createEventsBatch = async (event) => {
         message: `Batch complete: ${batchResult.succeeded}/${batchResult.total} events created`,
         created: batchResult.created,
         errors: batchResult.errors,
+        warnings,
         succeeded: batchResult.succeeded,
         failed: batchResult.failed,
         total: batchResult.total,
-        quote0_updated: quote0Updated
+        quote0_updated: quote0Updated,
+        ...(quote0Push && { quote0_push: quote0Push })
       })
     };
   } catch (error) {
@@ -408,33 +714,1533 @@ exports.createEventsBatch = async (event) => {
 };
 
 /**
- * Scheduled Update
- * Triggered by EventBridge at 01:10, 07:10, 12:10, 17:10 UTC
+ * GET /api/events?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * GET /api/events/{date}
+ * Lists stored events for a date range (or a single date), paginated with
+ * ?limit= and the next_cursor returned by the previous page (?cursor=)
  */
-exports.scheduledUpdate = async (event) => {
+exports.getEvents = async (event) => {
   console.log('='.repeat(80));
-  console.log('[Scheduled Update] Triggered by EventBridge');
-  console.log('Event:', JSON.stringify(event, null, 2));
-  console.log('Time:', new Date().toISOString());
+  console.log('[GET /api/events] Request received');
   console.log('='.repeat(80));
 
+  const { household, error: authError } = await authorize(event, { scope: 'events:read' });
+  if (authError) return authError;
+
   try {
-    const result = await scheduledUpdateService.executeUpdate();
-    
-    console.log('='.repeat(80));
-    console.log('[Scheduled Update] Result:', result);
-    console.log('='.repeat(80));
-    
-    return {
-      statusCode: 200,
-      body: JSON.stringify(result)
-    };
+    const query = event.queryStringParameters || {};
+    const pathDate = event.pathParameters?.date;
+    console.log('Request data:', { date: pathDate, ...query });
+
+    let from;
+    let to;
+
+    if (pathDate) {
+      from = to = normalizeDate(pathDate);
+    } else {
+      if (!query.from || !query.to) {
+        return jsonResponse(400, {
+          error: 'Bad Request',
+          message: 'Missing required query parameters: from, to'
+        });
+      }
+      from = normalizeDate(query.from);
+      to = normalizeDate(query.to);
+    }
+
+    if (!from || !to) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: 'Invalid date format. Use YYYY/MM/DD or YYYY-MM-DD'
+      });
+    }
+
+    if (from > to) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: "'from' must not be after 'to'"
+      });
+    }
+
+    const rangeDays = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+    if (rangeDays > MAX_RANGE_DAYS) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: `Date range cannot exceed ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`
+      });
+    }
+
+    let exclusiveStartKey;
+    if (query.cursor) {
+      exclusiveStartKey = decodeCursor(query.cursor);
+      if (!exclusiveStartKey || exclusiveStartKey.date < from || exclusiveStartKey.date > to) {
+        return jsonResponse(400, {
+          error: 'Bad Request',
+          message: 'Invalid cursor'
+        });
+      }
+    }
+
+    const result = await dynamoDbService.getEventsByDateRange(household.id, from, to, { limit, exclusiveStartKey });
+
+    return jsonResponse(200, {
+      from,
+      to,
+      events: result.items.map(item => ({ ...item, completed: Boolean(item.completed_at) })),
+      count: result.items.length,
+      next_cursor: result.lastEvaluatedKey ? encodeCursor(result.lastEvaluatedKey) : null
+    });
   } catch (error) {
     console.error('='.repeat(80));
-    console.error('[Scheduled Update] Fatal error:', error.message);
+    console.error('[GET /api/events] Error:', error.message);
     console.error('Stack:', error.stack);
     console.error('='.repeat(80));
-    
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/events/{date}/{id}
+ * Changes the text, position, timing and/or carry-over of an existing event; refreshes Quote/0 when the event is on the displayed day
+ */
+exports.updateEvent = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[PUT /api/events/{date}/{id}] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'events:write' });
+  if (authError) return authError;
+
+  try {
+    const date = normalizeDate(event.pathParameters?.date || '');
+    const id = event.pathParameters?.id;
+
+    if (!date) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: 'Invalid date format. Use YYYY/MM/DD or YYYY-MM-DD'
+      });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (e) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: 'Invalid JSON in request body'
+      });
+    }
+
+    const eventText = body?.event;
+    const position = body?.position;
+    const carryOver = body?.carry_over;
+    const timing = pickEventTiming(body);
+    const timingChanged = Object.values(timing).some(value => value !== undefined);
+    console.log('Request data:', { date, id, event: eventText, position, ...timing, carry_over: carryOver });
+
+    if (eventText === undefined && position === undefined && carryOver === undefined && !timingChanged) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: 'Provide at least one field to update: event, position, start_time, end_time, remind_before, carry_over'
+      });
+    }
+
+    if (carryOver !== undefined && typeof carryOver !== 'boolean') {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: 'carry_over must be true or false'
+      });
+    }
+
+    if (eventText !== undefined) {
+      if (!eventText) {
+        return jsonResponse(400, {
+          error: 'Bad Request',
+          message: 'event cannot be empty'
+        });
+      }
+
+      const textError = validateEventText(eventText);
+      if (textError) {
+        return jsonResponse(422, {
+          error: 'Unprocessable Entity',
+          message: textError
+        });
+      }
+    }
+
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: 'position must be a non-negative integer'
+      });
+    }
+
+    if (timingChanged) {
+      // Timing fields are checked together with the ones the event keeps (null removes a field)
+      const existing = (await dynamoDbService.getEventsByDate(household.id, date)).find(e => e.id === id);
+      if (!existing) {
+        return jsonResponse(404, {
+          error: 'Not Found',
+          message: `Event ${id} not found on ${date}`
+        });
+      }
+
+      const merged = { ...pickEventTiming(existing) };
+      for (const [field, value] of Object.entries(timing)) {
+        if (value !== undefined) merged[field] = value;
+      }
+
+      const timingError = validateEventTiming(merged);
+      if (timingError) {
+        return jsonResponse(400, {
+          error: 'Bad Request',
+          message: timingError
+        });
+      }
+    }
+
+    const updatedEvent = await dynamoDbService.updateEvent(household.id, date, id, {
+      event: eventText,
+      position,
+      ...timing,
+      carry_over: carryOver === false ? null : carryOver
+    });
+    if (!updatedEvent) {
+      return jsonResponse(404, {
+        error: 'Not Found',
+        message: `Event ${id} not found on ${date}`
+      });
+    }
+    console.log('Event updated successfully:', updatedEvent);
+    if (timingChanged) await reminderService.scheduleForEvent(household, updatedEvent);
+
+    const { updated: quote0Updated, push: quote0Push } = await refreshIfShown(household, shown => shown === date, 'updateEvent');
+
+    const sanitized = textSanitizerService.sanitize(updatedEvent.event).changes;
+
+    return jsonResponse(200, {
+      ...updatedEvent,
+      quote0_updated: quote0Updated,
+      ...(quote0Push && { quote0_push: quote0Push }),
+      ...(sanitized.length > 0 && { sanitized })
+    });
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[PUT /api/events/{date}/{id}] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/events/{date}/{id}
+ * Deletes an event; refreshes Quote/0 when the event is on the displayed day
+ */
+exports.deleteEvent = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[DELETE /api/events/{date}/{id}] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'events:write' });
+  if (authError) return authError;
+
+  try {
+    const date = normalizeDate(event.pathParameters?.date || '');
+    const id = event.pathParameters?.id;
+    console.log('Request data:', { date, id });
+
+    if (!date) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: 'Invalid date format. Use YYYY/MM/DD or YYYY-MM-DD'
+      });
+    }
+
+    const deletedEvent = await dynamoDbService.deleteEvent(household.id, date, id);
+    if (!deletedEvent) {
+      return jsonResponse(404, {
+        error: 'Not Found',
+        message: `Event ${id} not found on ${date}`
+      });
+    }
+    console.log('Event deleted successfully:', deletedEvent);
+    await reminderService.cancelForEvent(household.id, date, id);
+
+    const { updated: quote0Updated, push: quote0Push } = await refreshIfShown(household, shown => shown === date, 'deleteEvent');
+
+    return jsonResponse(200, {
+      deleted: deletedEvent,
+      quote0_updated: quote0Updated,
+      ...(quote0Push && { quote0_push: quote0Push })
+    });
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[DELETE /api/events/{date}/{id}] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/events/{date}/{id}/complete
+ * Marks an event as done; refreshes Quote/0 when the event is on the displayed day
+ */
+exports.completeEvent = async (event) => setEventCompletion(event, true);
+
+/**
+ * DELETE /api/events/{date}/{id}/complete
+ * Undoes completeEvent; refreshes Quote/0 when the event is on the displayed day
+ */
+exports.reopenEvent = async (event) => setEventCompletion(event, false);
+
+/**
+ * Set or clear an event's completed_at
+ * Completing an event cancels its reminder and end pushes; reopening it
+ * schedules them again. Completing an event twice keeps the first timestamp.
+ * @param {Object} event - API Gateway event
+ * @param {boolean} completed - Whether the event is done
+ * @returns {Promise<Object>} API Gateway response
+ */
+async function setEventCompletion(event, completed) {
+  const route = `[${completed ? 'POST' : 'DELETE'} /api/events/{date}/{id}/complete]`;
+  console.log('='.repeat(80));
+  console.log(`${route} Request received`);
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'events:write' });
+  if (authError) return authError;
+
+  try {
+    const date = normalizeDate(event.pathParameters?.date || '');
+    const id = event.pathParameters?.id;
+    console.log('Request data:', { date, id, completed });
+
+    if (!date) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: 'Invalid date format. Use YYYY/MM/DD or YYYY-MM-DD'
+      });
+    }
+
+    const existing = (await dynamoDbService.getEventsByDate(household.id, date)).find(e => e.id === id);
+    if (!existing) {
+      const occurrences = await recurringEventService.getOccurrencesForDate(household.id, date);
+      const occurrence = occurrences.find(e => e.id === id);
+      if (occurrence) {
+        return jsonResponse(422, {
+          error: 'Unprocessable Entity',
+          message: `Event ${id} is an occurrence of recurring event ${occurrence.recurring_id}; ` +
+            'occurrences of recurring events cannot be completed'
+        });
+      }
+
+      return jsonResponse(404, {
+        error: 'Not Found',
+        message: `Event ${id} not found on ${date}`
+      });
+    }
+
+    const completedAt = completed ? (existing.completed_at || new Date().toISOString()) : null;
+    const updatedEvent = await dynamoDbService.updateEvent(household.id, date, id, { completed_at: completedAt });
+    if (!updatedEvent) {
+      return jsonResponse(404, {
+        error: 'Not Found',
+        message: `Event ${id} not found on ${date}`
+      });
+    }
+    console.log(`Event ${completed ? 'completed' : 'reopened'}:`, updatedEvent);
+    await reminderService.scheduleForEvent(household, updatedEvent);
+
+    const { updated: quote0Updated, push: quote0Push } = await refreshIfShown(household, shown => shown === date, 'completeEvent');
+
+    return jsonResponse(200, {
+      ...updatedEvent,
+      completed,
+      quote0_updated: quote0Updated,
+      ...(quote0Push && { quote0_push: quote0Push })
+    });
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error(`${route} Error:`, error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/events/import
+ * Imports VEVENTs from a text/calendar body: one-off VEVENTs become events,
+ * VEVENTs with an RRULE become recurring event definitions. Past events and
+ * cancelled VEVENTs are skipped. Updates Quote/0 afterwards.
+ *
+ * What is imported keeps the VEVENT's UID (ical_uid), so importing the same
+ * calendar again updates it instead of adding it twice: matching events are
+ * updated in place, upcoming ones the VEVENT no longer covers (or that were
+ * cancelled) are removed, and matching recurring definitions are replaced.
+ */
+exports.importEvents = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[POST /api/events/import] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'events:write' });
+  if (authError) return authError;
+
+  try {
+    const query = event.queryStringParameters || {};
+    const mode = query.mode || 'append';
+    const contentType = event.headers?.['content-type'] || event.headers?.['Content-Type'] || '';
+    const text = event.isBase64Encoded
+      ? Buffer.from(event.body || '', 'base64').toString('utf8')
+      : (event.body || '');
+    console.log('Request data:', { contentType, mode, length: text.length });
+
+    if (!contentType.startsWith('text/calendar') && !text.trimStart().startsWith('BEGIN:VCALENDAR')) {
+      return jsonResponse(415, {
+        error: 'Unsupported Media Type',
+        message: 'Request body must be text/calendar'
+      });
+    }
+
+    if (!WRITE_MODES.includes(mode)) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: "Invalid mode. Use 'append' or 'replace'"
+      });
+    }
+
+    const vevents = icalService.parseCalendar(text, household.timezone);
+    if (vevents.length === 0) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: 'No VEVENTs found in calendar'
+      });
+    }
+
+    // Map each VEVENT onto events or a recurring definition
+    const today = dateUtils.today(household.timezone);
+    const errors = [];
+    const normalizedEvents = [];
+    const rules = [];
+    const cancelledUids = new Set();
+    let skipped = 0;
+
+    vevents.forEach((vevent, i) => {
+      const label = `VEVENT ${i}${vevent.uid ? ` (${vevent.uid})` : ''}`;
+      const date = vevent.start?.date;
+      const eventText = vevent.summary;
+      const fail = (message) => errors.push({ date, event: eventText, error: `${label}: ${message}` });
+
+      if (vevent.status === 'CANCELLED') {
+        if (vevent.uid) cancelledUids.add(vevent.uid);
+        skipped++;
+        return;
+      }
+      if (vevent.recurrenceId) return fail('Modified occurrences (RECURRENCE-ID) are not supported');
+      if (!vevent.start) return fail('Missing or invalid DTSTART');
+      if (!eventText) return fail('Missing SUMMARY');
+
+      const textError = validateEventText(eventText);
+      if (textError) return fail(textError);
+
+      if (vevent.rrule) {
+        const { rule, error } = icalService.toRecurringRule(vevent);
+        if (error) return fail(error);
+
+        const ruleErrors = recurringEventService.validateRule(rule);
+        if (ruleErrors.length > 0) return fail(ruleErrors.join('; '));
+
+        if (rule.until && rule.until < today) {
+          skipped++;
+          return;
+        }
+        rules.push({ rule: { ...rule, ical_uid: vevent.uid }, date, eventText, label });
+        return;
+      }
+
+      const dates = icalService.getEventDates(vevent).filter(d => d >= today);
+      if (dates.length === 0) {
+        skipped++;
+        return;
+      }
+      // A timed single-day event keeps its times (all-day and multi-day events have none)
+      const timed = !vevent.start.allDay && dates.length === 1;
+      const endTime = timed && vevent.end?.date === date && vevent.end.time > vevent.start.time ? vevent.end.time : undefined;
+      for (const d of dates) {
+        normalizedEvents.push({
+          date: d,
+          event: eventText,
+          ical_uid: vevent.uid,
+          ...(timed && { start_time: vevent.start.time, end_time: endTime })
+        });
+      }
+    });
+
+    if (normalizedEvents.length + rules.length > MAX_BATCH_EVENTS) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: `Maximum ${MAX_BATCH_EVENTS} events per import (calendar contains ${normalizedEvents.length + rules.length} upcoming)`
+      });
+    }
+
+    // Step 1: Store events and recurring definitions. What earlier imports of
+    // these VEVENTs stored is found by UID and updated rather than added again
+    const uids = new Set([...normalizedEvents, ...rules.map(r => r.rule)].map(e => e.ical_uid).filter(Boolean));
+    cancelledUids.forEach(uid => uids.add(uid));
+    const imported = uids.size > 0
+      ? (await dynamoDbService.getAllEvents(household.id)).filter(e => uids.has(e.ical_uid))
+      : [];
+    const importedRules = uids.size > 0
+      ? (await recurringEventService.getRecurringEvents(household.id)).filter(r => uids.has(r.ical_uid))
+      : [];
+    console.log(`Found ${imported.length} events and ${importedRules.length} recurring events from earlier imports`);
+
+    const updated = [];
+    const toCreate = [];
+    for (const e of normalizedEvents) {
+      const match = e.ical_uid && imported.find(x => x.ical_uid === e.ical_uid && x.date === e.date);
+      if (!match) {
+        toCreate.push(e);
+        continue;
+      }
+      try {
+        const result = await dynamoDbService.updateEvent(household.id, e.date, match.id, {
+          event: e.event,
+          start_time: e.start_time ?? null,
+          end_time: e.end_time ?? null
+        });
+        if (!result) {
+          toCreate.push(e);
+          continue;
+        }
+        await reminderService.scheduleForEvent(household, result);
+        updated.push(result);
+      } catch (error) {
+        errors.push({ date: e.date, event: e.event, error: `${e.ical_uid}: ${error.message}` });
+      }
+    }
+
+    console.log(`Importing ${toCreate.length} new events (${updated.length} updated) and ${rules.length} recurring events...`);
+    const batchResult = await dynamoDbService.createEventsBatch(household.id, toCreate, mode);
+    errors.push(...batchResult.errors);
+    for (const created of batchResult.created) {
+      await reminderService.scheduleForEvent(household, created);
+    }
+
+    // Upcoming events from an earlier import on days their VEVENT no longer
+    // covers (moved, shortened, cancelled or now recurring); carried-over ones are left alone
+    const covered = new Set(normalizedEvents.map(e => `${e.ical_uid}#${e.date}`));
+    const removed = [];
+    for (const stale of imported.filter(x => x.date >= today && !x.carry_over && !covered.has(`${x.ical_uid}#${x.date}`))) {
+      const deleted = await dynamoDbService.deleteEvent(household.id, stale.date, stale.id);
+      await reminderService.cancelForEvent(household.id, stale.date, stale.id);
+      if (deleted) removed.push(deleted);
+    }
+
+    const recurringCreated = [];
+    const recurringUpdated = [];
+    for (const { rule, date, eventText, label } of rules) {
+      try {
+        const match = rule.ical_uid && importedRules.find(r => r.ical_uid === rule.ical_uid);
+        const stored = await recurringEventService.createRecurringEvent(household.id, rule, match);
+        (match ? recurringUpdated : recurringCreated).push(stored);
+      } catch (error) {
+        errors.push({ date, event: eventText, error: `${label}: ${error.message}` });
+      }
+    }
+    // Recurring definitions from an earlier import whose VEVENT was cancelled or no longer recurs
+    const recurring = new Set(rules.map(r => r.rule.ical_uid));
+    for (const stale of importedRules.filter(r => !recurring.has(r.ical_uid))) {
+      const deleted = await recurringEventService.deleteRecurringEvent(household.id, stale.id);
+      if (deleted) removed.push(deleted);
+    }
+
+    // Step 2-6: Immediately update Quote/0 display
+    console.log('');
+    console.log('Triggering Quote/0 update after import...');
+
+    let quote0Updated = false;
+    let quote0Push;
+    try {
+      ({ push: quote0Push } = await scheduledUpdateService.refreshDisplay(household, { trigger: 'import' }));
+      console.log(`Quote/0 refresh finished (push ${quote0Push})`);
+      quote0Updated = DISPLAY_CURRENT.includes(quote0Push);
+    } catch (updateError) {
+      console.error('Error updating Quote/0:', updateError.message);
+      console.log('Events were imported but Quote/0 update failed');
+    }
+
+    const succeeded = batchResult.succeeded + updated.length + recurringCreated.length + recurringUpdated.length;
+    const total = succeeded + errors.length;
+
+    return jsonResponse(errors.length > 0 ? 207 : 201, {
+      message: `Import complete: ${succeeded}/${total} events created or updated, ${removed.length} removed, ${skipped} skipped`,
+      created: batchResult.created,
+      updated,
+      recurring_created: recurringCreated,
+      recurring_updated: recurringUpdated,
+      removed,
+      errors,
+      succeeded,
+      failed: errors.length,
+      skipped,
+      total,
+      quote0_updated: quote0Updated,
+      ...(quote0Push && { quote0_push: quote0Push })
+    });
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[POST /api/events/import] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/recurring-events
+ * Creates a recurring event definition; refreshes Quote/0 when it occurs on the displayed day
+ */
+exports.createRecurringEvent = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[POST /api/recurring-events] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'events:write' });
+  if (authError) return authError;
+
+  try {
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (e) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: 'Invalid JSON in request body'
+      });
+    }
+    console.log('Request data:', body);
+
+    const rule = { ...body };
+    for (const field of ['start_date', 'until']) {
+      if (rule[field]) rule[field] = normalizeDate(rule[field]) || rule[field];
+    }
+    if (Array.isArray(rule.exdates)) rule.exdates = rule.exdates.map(d => normalizeDate(d) || d);
+
+    const validationErrors = recurringEventService.validateRule(rule);
+    if (!validationErrors.length && rule.event) {
+      const textError = validateEventText(rule.event);
+      if (textError) validationErrors.push(textError);
+    }
+
+    if (validationErrors.length > 0) {
+      return jsonResponse(422, {
+        error: 'Unprocessable Entity',
+        message: 'Validation errors in recurring event',
+        errors: validationErrors
+      });
+    }
+
+    const created = await recurringEventService.createRecurringEvent(household.id, rule);
+
+    const { updated: quote0Updated, push: quote0Push } = await refreshIfShown(
+      household, shown => recurringEventService.occursOn(created, shown), 'recurringEvent');
+
+    return jsonResponse(201, {
+      ...created,
+      quote0_updated: quote0Updated,
+      ...(quote0Push && { quote0_push: quote0Push })
+    });
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[POST /api/recurring-events] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/recurring-events
+ * Lists recurring event definitions; ?date=YYYY-MM-DD keeps only those occurring on that date
+ */
+exports.getRecurringEvents = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[GET /api/recurring-events] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'events:read' });
+  if (authError) return authError;
+
+  try {
+    const query = event.queryStringParameters || {};
+    let rules = await recurringEventService.getRecurringEvents(household.id);
+
+    if (query.date) {
+      const date = normalizeDate(query.date);
+      if (!date) {
+        return jsonResponse(400, {
+          error: 'Bad Request',
+          message: 'Invalid date format. Use YYYY/MM/DD or YYYY-MM-DD'
+        });
+      }
+      rules = rules.filter(rule => recurringEventService.occursOn(rule, date));
+    }
+
+    return jsonResponse(200, {
+      recurring_events: rules,
+      count: rules.length
+    });
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[GET /api/recurring-events] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/recurring-events/{id}
+ * Deletes a recurring event definition; refreshes Quote/0 when it occurred on the displayed day
+ */
+exports.deleteRecurringEvent = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[DELETE /api/recurring-events/{id}] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'events:write' });
+  if (authError) return authError;
+
+  try {
+    const id = event.pathParameters?.id;
+    console.log('Request data:', { id });
+
+    const deleted = await recurringEventService.deleteRecurringEvent(household.id, id);
+    if (!deleted) {
+      return jsonResponse(404, {
+        error: 'Not Found',
+        message: `Recurring event ${id} not found`
+      });
+    }
+
+    const { updated: quote0Updated, push: quote0Push } = await refreshIfShown(
+      household, shown => recurringEventService.occursOn(deleted, shown), 'recurringEvent');
+
+    return jsonResponse(200, {
+      deleted,
+      quote0_updated: quote0Updated,
+      ...(quote0Push && { quote0_push: quote0Push })
+    });
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[DELETE /api/recurring-events/{id}] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/calendar.ics
+ * iCalendar feed of all events, recurring events and bin collections, for
+ * subscribing from phone calendar apps. Accepts ?token= in place of the
+ * Authorization header because calendar subscriptions cannot send headers.
+ */
+exports.getCalendarFeed = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[GET /api/calendar.ics] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'events:read', allowQueryToken: true });
+  if (authError) return authError;
+
+  try {
+    const [events, recurringEvents, binCollections] = await Promise.all([
+      dynamoDbService.getAllEvents(household.id),
+      recurringEventService.getRecurringEvents(household.id),
+      binCollectionDbService.getAllCollections(household.id)
+    ]);
+    console.log('Calendar feed contents:', {
+      events: events.length,
+      recurringEvents: recurringEvents.length,
+      binCollections: binCollections.length
+    });
+
+    const calendar = icalService.serializeCalendar({
+      events,
+      recurringEvents,
+      binCollections,
+      binName: service => displayFormatterService.getBinName(service),
+      timeZone: household.timezone
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="quote0.ics"',
+        'Cache-Control': 'no-cache',
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: calendar
+    };
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[GET /api/calendar.ics] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/bins/ack
+ * Marks tomorrow's bin collections as put out, all of them or the ones named
+ * in `bins` (friendly or service names), so the signature stops asking for
+ * them. Updates Quote/0 afterwards.
+ */
+exports.acknowledgeBins = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[POST /api/bins/ack] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'events:write' });
+  if (authError) return authError;
+
+  try {
+    let body = {};
+    if (event.body) {
+      try {
+        body = JSON.parse(event.body);
+      } catch (e) {
+        return jsonResponse(400, {
+          error: 'Bad Request',
+          message: 'Invalid JSON in request body'
+        });
+      }
+    }
+
+    const bins = body?.bins;
+    if (bins !== undefined && (!Array.isArray(bins) || bins.length === 0 || bins.some(b => typeof b !== 'string' || !b.trim()))) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: 'bins must be a non-empty array of bin names'
+      });
+    }
+
+    const date = dateUtils.tomorrow(household.timezone);
+    const collections = await binCollectionDbService.getBinCollectionsByDate(household.id, date);
+    console.log('Request data:', { date, bins });
+
+    if (collections.length === 0) {
+      return jsonResponse(404, {
+        error: 'Not Found',
+        message: `No bin collections on ${date}`
+      });
+    }
+
+    // Match either the friendly name shown on the display or the stored service name
+    const matches = (collection, name) => [collection.service, displayFormatterService.getBinName(collection.service)]
+      .some(candidate => candidate.toLowerCase() === name.trim().toLowerCase());
+
+    const unknown = (bins || []).filter(name => !collections.some(c => matches(c, name)));
+    if (unknown.length > 0) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: `Not collected on ${date}: ${unknown.join(', ')}. Collected: ${displayFormatterService.getBinNames(collections).join(', ')}`
+      });
+    }
+
+    const selected = bins ? collections.filter(c => bins.some(name => matches(c, name))) : collections;
+    const acknowledged = await binCollectionDbService.acknowledgeCollections(household.id, date, selected.map(c => c.service));
+    console.log('Bins acknowledged:', acknowledged.map(c => c.service));
+
+    const stored = collections.map(c => acknowledged.find(a => a.service === c.service) || c);
+
+    // The reminder is for tomorrow whichever day the display shows; an unchanged display is not re-pushed
+    const { updated: quote0Updated, push: quote0Push } = await refreshIfShown(household, () => true, 'ackBins');
+
+    return jsonResponse(200, {
+      date,
+      acknowledged: displayFormatterService.getBinNames(acknowledged),
+      pending: displayFormatterService.getBinNames(displayFormatterService.getPendingCollections(stored)),
+      collections: stored,
+      quote0_updated: quote0Updated,
+      ...(quote0Push && { quote0_push: quote0Push })
+    });
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[POST /api/bins/ack] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/bins/changes
+ * Lists the changes found in the caller's household's bin schedule, newest
+ * first: collections added, removed or moved (e.g. around bank holidays).
+ * Paginated with ?limit= and ?cursor= like GET /api/pushes
+ */
+exports.getBinChanges = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[GET /api/bins/changes] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'events:read' });
+  if (authError) return authError;
+
+  try {
+    const query = event.queryStringParameters || {};
+    console.log('Request data:', query);
+
+    const limit = query.limit === undefined ? DEFAULT_PUSH_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`
+      });
+    }
+
+    let exclusiveStartKey;
+    if (query.cursor) {
+      const key = decodeCursor(query.cursor, ['change_id']);
+      if (!key) {
+        return jsonResponse(400, {
+          error: 'Bad Request',
+          message: 'Invalid cursor'
+        });
+      }
+      exclusiveStartKey = { household_id: household.id, change_id: key.change_id };
+    }
+
+    const result = await binChangeService.listChanges(household.id, { limit, exclusiveStartKey });
+    const withBin = collection => ({ ...collection, bin: displayFormatterService.getBinName(collection.service) });
+
+    return jsonResponse(200, {
+      changes: result.items.map(({ household_id, ttl, added, removed, moved, ...change }) => ({
+        ...change,
+        added: added.map(withBin),
+        removed: removed.map(withBin),
+        moved: moved.map(withBin)
+      })),
+      count: result.items.length,
+      next_cursor: result.lastEvaluatedKey ? encodeCursor({ change_id: result.lastEvaluatedKey.change_id }) : null
+    });
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[GET /api/bins/changes] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/display/preview
+ * Renders what the Quote/0 would show for a date (default the day its current
+ * slot shows) from stored data, without fetching bins or pushing
+ */
+exports.previewDisplay = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[POST /api/display/preview] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'events:read' });
+  if (authError) return authError;
+
+  try {
+    let body = {};
+    if (event.body) {
+      try {
+        body = JSON.parse(event.body);
+      } catch (e) {
+        return jsonResponse(400, {
+          error: 'Bad Request',
+          message: 'Invalid JSON in request body'
+        });
+      }
+    }
+
+    let date;
+    if (body?.date !== undefined) {
+      date = normalizeDate(body.date);
+      if (!date) {
+        return jsonResponse(400, {
+          error: 'Bad Request',
+          message: 'Invalid date format. Use YYYY/MM/DD or YYYY-MM-DD'
+        });
+      }
+    }
+
+    const page = body?.page ?? 1;
+    if (!Number.isInteger(page) || page < 1) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: 'page must be a positive integer'
+      });
+    }
+
+    const preview = await scheduledUpdateService.previewDisplay(household, date, page);
+
+    return jsonResponse(200, preview);
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[POST /api/display/preview] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/display/templates
+ * Returns the display templates in effect for the caller's household
+ */
+exports.getDisplayTemplates = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[GET /api/display/templates] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'events:read' });
+  if (authError) return authError;
+
+  try {
+    return jsonResponse(200, {
+      templates: templateService.getTemplates(household),
+      custom: household.templates || {},
+      defaults: templateService.defaults
+    });
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[GET /api/display/templates] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/display/templates
+ * Saves display templates for the caller's household. Templates are checked
+ * against the display limits here, so a template that cannot fit is never
+ * stored. A null value reverts that template to the default.
+ */
+exports.updateDisplayTemplates = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[PUT /api/display/templates] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'admin' });
+  if (authError) return authError;
+
+  try {
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (e) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: 'Invalid JSON in request body'
+      });
+    }
+
+    if (!body || typeof body !== 'object' || Array.isArray(body) || Object.keys(body).length === 0) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: `Provide at least one template: ${Object.keys(templateService.defaults).join(', ')}`
+      });
+    }
+
+    const updates = Object.fromEntries(Object.entries(body).filter(([, template]) => template !== null));
+    const validationErrors = [
+      ...Object.keys(body)
+        .filter(name => body[name] === null && !Object.prototype.hasOwnProperty.call(templateService.defaults, name))
+        .map(name => `Unknown template '${name}'. Use: ${Object.keys(templateService.defaults).join(', ')}`),
+      ...displayFormatterService.validateTemplates(updates)
+    ];
+
+    if (validationErrors.length > 0) {
+      return jsonResponse(422, {
+        error: 'Unprocessable Entity',
+        message: 'Validation errors in templates',
+        errors: validationErrors
+      });
+    }
+
+    const custom = { ...(household.templates || {}), ...updates };
+    for (const [name, template] of Object.entries(body)) {
+      if (template === null) delete custom[name];
+    }
+
+    const updated = await householdService.updateHousehold(household.id, { templates: custom });
+    console.log('Templates saved:', custom);
+
+    return jsonResponse(200, {
+      templates: templateService.getTemplates(updated),
+      custom
+    });
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[PUT /api/display/templates] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/pushes
+ * Lists the caller's household's push history, newest first. Filters:
+ * ?from= and ?to= (dates, UTC), ?status=, ?trigger=; paginated with ?limit=
+ * and ?cursor= like GET /api/events
+ */
+exports.getPushes = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[GET /api/pushes] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'events:read' });
+  if (authError) return authError;
+
+  try {
+    const query = event.queryStringParameters || {};
+    console.log('Request data:', query);
+
+    const from = query.from === undefined ? undefined : normalizeDate(query.from);
+    const to = query.to === undefined ? undefined : normalizeDate(query.to);
+    if (from === null || to === null) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: 'Invalid date format. Use YYYY/MM/DD or YYYY-MM-DD'
+      });
+    }
+
+    if (from && to && from > to) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: "'from' must not be after 'to'"
+      });
+    }
+
+    if (query.status !== undefined && !pushHistoryService.statuses.includes(query.status)) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: `status must be one of: ${pushHistoryService.statuses.join(', ')}`
+      });
+    }
+
+    if (query.trigger !== undefined && !pushHistoryService.triggers.includes(query.trigger)) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: `trigger must be one of: ${pushHistoryService.triggers.join(', ')}`
+      });
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_PUSH_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`
+      });
+    }
+
+    let exclusiveStartKey;
+    if (query.cursor) {
+      const key = decodeCursor(query.cursor, ['push_id']);
+      if (!key) {
+        return jsonResponse(400, {
+          error: 'Bad Request',
+          message: 'Invalid cursor'
+        });
+      }
+      exclusiveStartKey = { household_id: household.id, push_id: key.push_id };
+    }
+
+    const result = await pushHistoryService.listPushes(household.id, {
+      from,
+      to,
+      status: query.status,
+      trigger: query.trigger,
+      limit,
+      exclusiveStartKey
+    });
+
+    return jsonResponse(200, {
+      pushes: result.items.map(({ household_id, ttl, ...push }) => push),
+      count: result.items.length,
+      next_cursor: result.lastEvaluatedKey ? encodeCursor({ push_id: result.lastEvaluatedKey.push_id }) : null
+    });
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[GET /api/pushes] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/keys
+ * Creates a named API key for the caller's household. The plaintext key is
+ * returned once and cannot be retrieved again.
+ */
+exports.createApiKey = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[POST /api/keys] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'admin' });
+  if (authError) return authError;
+
+  try {
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (e) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: 'Invalid JSON in request body'
+      });
+    }
+    console.log('Request data:', { name: body?.name, scopes: body?.scopes, expires_at: body?.expires_at });
+
+    const validationErrors = apiKeyService.validateKeyRequest(body || {});
+    if (validationErrors.length > 0) {
+      return jsonResponse(422, {
+        error: 'Unprocessable Entity',
+        message: 'Validation errors in API key',
+        errors: validationErrors
+      });
+    }
+
+    const created = await apiKeyService.createKey(household.id, body);
+
+    return jsonResponse(201, created);
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[POST /api/keys] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/keys
+ * Lists the caller's household's API keys (never the secrets)
+ */
+exports.getApiKeys = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[GET /api/keys] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'admin' });
+  if (authError) return authError;
+
+  try {
+    const keys = await apiKeyService.listKeys(household.id);
+
+    return jsonResponse(200, {
+      keys,
+      count: keys.length
+    });
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[GET /api/keys] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/keys/{id}
+ * Revokes one of the caller's household's API keys
+ */
+exports.revokeApiKey = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[DELETE /api/keys/{id}] Request received');
+  console.log('='.repeat(80));
+
+  const { household, error: authError } = await authorize(event, { scope: 'admin' });
+  if (authError) return authError;
+
+  try {
+    const id = event.pathParameters?.id;
+    console.log('Request data:', { id });
+
+    const revoked = await apiKeyService.revokeKey(household.id, id);
+    if (!revoked) {
+      return jsonResponse(404, {
+        error: 'Not Found',
+        message: `API key ${id} not found`
+      });
+    }
+
+    return jsonResponse(200, { revoked });
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[DELETE /api/keys/{id}] Error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Scheduled Update
+ * Triggered by EventBridge for every household, with the schedule slot as its
+ * input ({ "slot": "evening" }, see scheduleSlotService). When invoked over
+ * HTTP (POST /test/scheduled-update) it needs the display:push scope and only
+ * updates the caller's household; ?slot= picks a slot (default: default) and
+ * ?force=true pushes even if the display is unchanged.
+ */
+exports.scheduledUpdate = async (event) => {
+  const isHttp = Boolean(event?.requestContext?.http || event?.headers);
+
+  console.log('='.repeat(80));
+  console.log(`[Scheduled Update] Triggered by ${isHttp ? 'HTTP request' : 'EventBridge'}`);
+  console.log('Event:', JSON.stringify(isHttp ? { requestContext: event.requestContext } : event, null, 2));
+  console.log('Time:', new Date().toISOString());
+  console.log('='.repeat(80));
+
+  let household;
+  if (isHttp) {
+    const auth = await authorize(event, { scope: 'display:push' });
+    if (auth.error) return auth.error;
+    household = auth.household;
+  }
+
+  const slotName = (isHttp ? event.queryStringParameters?.slot : event?.slot) || scheduleSlotService.defaultSlot;
+  if (household && !scheduleSlotService.getSlot(slotName)) {
+    return jsonResponse(400, {
+      error: 'Bad Request',
+      message: `Unknown slot '${slotName}'. Use: ${scheduleSlotService.getSlotNames().join(', ')}`
+    });
+  }
+
+  try {
+    const force = event?.queryStringParameters?.force === 'true';
+    const result = household
+      ? await scheduledUpdateService.executeHouseholdUpdate(household, { force, trigger: 'manual', slot: scheduleSlotService.getSlot(slotName) })
+      : await scheduledUpdateService.executeUpdate({ slot: slotName });
+    
+    console.log('='.repeat(80));
+    console.log('[Scheduled Update] Result:', result);
+    console.log('='.repeat(80));
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[Scheduled Update] Fatal error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+    
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        success: false,
+        error: error.message
+      })
+    };
+  }
+};
+
+/**
+ * Pending Push Retry
+ * Triggered by EventBridge every few minutes. Pushes that failed are sent
+ * again until they reach the device or a newer push replaces them.
+ */
+exports.retryPendingPushes = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[Pending Push Retry] Triggered by EventBridge');
+  console.log('Time:', new Date().toISOString());
+  console.log('='.repeat(80));
+
+  try {
+    const result = await scheduledUpdateService.retryPendingPushes();
+
+    console.log('='.repeat(80));
+    console.log('[Pending Push Retry] Result:', result);
+    console.log('='.repeat(80));
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[Pending Push Retry] Fatal error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        success: false,
+        error: error.message
+      })
+    };
+  }
+};
+
+/**
+ * Reminders
+ * Triggered by EventBridge every few minutes. Households with a timed event
+ * whose reminder is due, or which has just ended, get their display pushed.
+ */
+exports.sendReminders = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[Reminders] Triggered by EventBridge');
+  console.log('Time:', new Date().toISOString());
+  console.log('='.repeat(80));
+
+  try {
+    const result = await scheduledUpdateService.sendDueReminders();
+
+    console.log('='.repeat(80));
+    console.log('[Reminders] Result:', result);
+    console.log('='.repeat(80));
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[Reminders] Fatal error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        success: false,
+        error: error.message
+      })
+    };
+  }
+};
+
+/**
+ * Display Rotation
+ * Triggered by EventBridge during the day. Households whose events for today
+ * need more than one page get their next page pushed.
+ */
+exports.rotateDisplay = async (event) => {
+  console.log('='.repeat(80));
+  console.log('[Display Rotation] Triggered by EventBridge');
+  console.log('Time:', new Date().toISOString());
+  console.log('='.repeat(80));
+
+  try {
+    const result = await scheduledUpdateService.rotateDisplays();
+
+    console.log('='.repeat(80));
+    console.log('[Display Rotation] Result:', result);
+    console.log('='.repeat(80));
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    console.error('='.repeat(80));
+    console.error('[Display Rotation] Fatal error:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('='.repeat(80));
+
     return {
       statusCode: 500,
       body: JSON.stringify({
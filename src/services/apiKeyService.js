@@ -0,0 +1,273 @@
+/**
+ * API Key Service
+ * Named, scoped API keys for a household, stored as SHA-256 hashes.
+ *
+ * Keys look like q0_{key_id}_{secret}. The key ID locates the row; the
+ * secret is only ever stored hashed and is compared in constant time.
+ */
+
+const crypto = require('crypto');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+
+const TABLE_NAME = process.env.API_KEYS_TABLE;
+
+const SCOPES = ['events:read', 'events:write', 'display:push', 'admin'];
+const ADMIN_SCOPE = 'admin';
+const KEY_PREFIX = 'q0_';
+const KEY_PATTERN = /^q0_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+const MAX_NAME_LENGTH = 64;
+
+// Create DynamoDB client
+const client = new DynamoDBClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const docClient = DynamoDBDocumentClient.from(client, {
+  marshallOptions: {
+    removeUndefinedValues: true,
+    convertEmptyValues: false
+  }
+});
+
+/**
+ * Remove the secret hash from a stored key before returning it to clients
+ */
+function toPublicKey(item) {
+  const { secret_hash, ...key } = item;
+  return key;
+}
+
+class ApiKeyService {
+  /**
+   * Whether a bearer token has the API key format (as opposed to a legacy token)
+   * @param {string} token - Bearer token
+   * @returns {boolean} True if the token starts with q0_
+   */
+  isApiKey(token) {
+    return token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Check whether granted scopes include a required scope (admin includes every scope)
+   * @param {Array<string>} scopes - Granted scopes
+   * @param {string} scope - Required scope
+   * @returns {boolean} True if allowed
+   */
+  hasScope(scopes, scope) {
+    return scopes.includes(ADMIN_SCOPE) || scopes.includes(scope);
+  }
+
+  /**
+   * Validate a key creation request
+   * @param {Object} request - { name, scopes, expires_at }
+   * @returns {Array<string>} Validation error messages (empty if valid)
+   */
+  validateKeyRequest(request) {
+    const errors = [];
+
+    if (!request.name || typeof request.name !== 'string') {
+      errors.push("Missing required field 'name'");
+    } else if (request.name.length > MAX_NAME_LENGTH) {
+      errors.push(`name exceeds maximum length of ${MAX_NAME_LENGTH} characters`);
+    }
+
+    if (!Array.isArray(request.scopes) || request.scopes.length === 0) {
+      errors.push(`scopes must be a non-empty array of: ${SCOPES.join(', ')}`);
+    } else {
+      const unknown = request.scopes.filter(scope => !SCOPES.includes(scope));
+      if (unknown.length > 0) {
+        errors.push(`Unknown scopes: ${unknown.join(', ')}. Use: ${SCOPES.join(', ')}`);
+      }
+    }
+
+    if (request.expires_at !== undefined) {
+      const expiresAt = Date.parse(request.expires_at);
+      if (Number.isNaN(expiresAt)) {
+        errors.push('expires_at must be an ISO 8601 date-time');
+      } else if (expiresAt <= Date.now()) {
+        errors.push('expires_at must be in the future');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create an API key for a household
+   * @param {string} householdId - Household ID
+   * @param {Object} request - Validated request (see validateKeyRequest)
+   * @returns {Promise<Object>} Stored key (without hash) plus the plaintext `key`, which is not retrievable later
+   */
+  async createKey(householdId, { name, scopes, expires_at: expiresAt }) {
+    try {
+      const keyId = crypto.randomBytes(8).toString('hex');
+      const secret = crypto.randomBytes(32).toString('base64url');
+
+      const item = {
+        key_id: keyId,                                  // Partition key
+        household_id: householdId,
+        name,
+        scopes: [...new Set(scopes)],
+        secret_hash: this.hashSecret(secret),
+        created_at: new Date().toISOString(),
+        expires_at: expiresAt ? new Date(expiresAt).toISOString() : undefined
+      };
+
+      console.log(`[ApiKeys] Creating key ${keyId} (${name}) for household ${householdId}: ${item.scopes.join(', ')}`);
+
+      await docClient.send(new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(key_id)'
+      }));
+
+      return {
+        ...toPublicKey(item),
+        key: `${KEY_PREFIX}${keyId}_${secret}`
+      };
+    } catch (error) {
+      console.error('[ApiKeys] Error creating key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a household's keys (hashes are never returned)
+   * @param {string} householdId - Household ID
+   * @returns {Promise<Array>} Keys ordered by creation time
+   */
+  async listKeys(householdId) {
+    try {
+      const items = [];
+      let exclusiveStartKey;
+
+      do {
+        const response = await docClient.send(new ScanCommand({
+          TableName: TABLE_NAME,
+          FilterExpression: 'household_id = :h',
+          ExpressionAttributeValues: {
+            ':h': householdId
+          },
+          ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(response.Items || []));
+        exclusiveStartKey = response.LastEvaluatedKey;
+      } while (exclusiveStartKey);
+
+      console.log(`[ApiKeys] Found ${items.length} keys for household ${householdId}`);
+
+      return items
+        .map(toPublicKey)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    } catch (error) {
+      console.error('[ApiKeys] Error listing keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a household's key
+   * @param {string} householdId - Household ID
+   * @param {string} keyId - Key ID
+   * @returns {Promise<Object|null>} Revoked key, or null if the household has no such key
+   */
+  async revokeKey(householdId, keyId) {
+    try {
+      const response = await docClient.send(new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { key_id: keyId },
+        UpdateExpression: 'set revoked_at = if_not_exists(revoked_at, :now)',
+        ConditionExpression: 'attribute_exists(key_id) AND household_id = :h',
+        ExpressionAttributeValues: {
+          ':now': new Date().toISOString(),
+          ':h': householdId
+        },
+        ReturnValues: 'ALL_NEW'
+      }));
+
+      console.log(`[ApiKeys] Key revoked: ${keyId}`);
+      return toPublicKey(response.Attributes);
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        console.log(`[ApiKeys] Key not found for revoke: ${householdId}/${keyId}`);
+        return null;
+      }
+      console.error('[ApiKeys] Error revoking key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify an API key and record its use
+   * @param {string} token - Full key (q0_{key_id}_{secret})
+   * @returns {Promise<{key: Object}|{error: string}>} The key (without hash), or why it was rejected
+   */
+  async verifyKey(token) {
+    const match = KEY_PATTERN.exec(token);
+    if (!match || !TABLE_NAME) {
+      return { error: 'Invalid API key' };
+    }
+
+    const [, keyId, secret] = match;
+
+    const response = await docClient.send(new GetCommand({
+      TableName: TABLE_NAME,
+      Key: { key_id: keyId }
+    }));
+    const item = response.Item;
+
+    // Hash the secret even for unknown keys so both paths take the same time
+    const candidate = Buffer.from(this.hashSecret(secret), 'hex');
+    const stored = Buffer.from(item ? item.secret_hash : '0'.repeat(64), 'hex');
+    if (!crypto.timingSafeEqual(candidate, stored) || !item) {
+      console.log(`[ApiKeys] Rejected key ${keyId}: invalid`);
+      return { error: 'Invalid API key' };
+    }
+
+    if (item.revoked_at) {
+      console.log(`[ApiKeys] Rejected key ${keyId}: revoked at ${item.revoked_at}`);
+      return { error: 'API key has been revoked' };
+    }
+
+    if (item.expires_at && Date.parse(item.expires_at) <= Date.now()) {
+      console.log(`[ApiKeys] Rejected key ${keyId}: expired at ${item.expires_at}`);
+      return { error: 'API key has expired' };
+    }
+
+    await this.touchKey(keyId);
+
+    return { key: toPublicKey(item) };
+  }
+
+  /**
+   * Record when a key was last used (failures are logged, not thrown)
+   * @param {string} keyId - Key ID
+   * @returns {Promise<void>}
+   */
+  async touchKey(keyId) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { key_id: keyId },
+        UpdateExpression: 'set last_used_at = :now',
+        ExpressionAttributeValues: {
+          ':now': new Date().toISOString()
+        }
+      }));
+    } catch (error) {
+      console.error(`[ApiKeys] Error recording use of key ${keyId}:`, error.message);
+    }
+  }
+
+  /**
+   * Hash a key secret for storage
+   * @param {string} secret - Plaintext secret
+   * @returns {string} Hex-encoded SHA-256 hash
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,112 @@
+/**
+ * Bin Change Service
+ * Change log of a household's bin collection schedule: every sync that
+ * finds collections added, removed or moved (e.g. around bank holidays)
+ * records what changed. Records expire after RETENTION_DAYS.
+ */
+
+const crypto = require('crypto');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+
+const TABLE_NAME = process.env.BIN_CHANGES_TABLE;
+const RETENTION_DAYS = 90;
+
+// Create DynamoDB client
+const client = new DynamoDBClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const docClient = DynamoDBDocumentClient.from(client, {
+  marshallOptions: {
+    removeUndefinedValues: true,
+    convertEmptyValues: false
+  }
+});
+
+class BinChangeService {
+  /**
+   * Record the changes one sync found (failures are logged, not thrown)
+   * @param {string} householdId - Household ID
+   * @param {Object} changes - { added, removed, moved } (see binCollectionDbService.reconcileBinCollections)
+   * @param {string} detectedOn - Day the change was found, in the household timezone (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} Stored record, or null if it was not stored
+   */
+  async recordChanges(householdId, changes, detectedOn) {
+    if (!TABLE_NAME) return null;
+
+    const now = new Date();
+    const item = {
+      household_id: householdId,                                         // Partition key
+      change_id: `${now.toISOString()}#${crypto.randomBytes(4).toString('hex')}`, // Sort key (newest last)
+      detected_at: now.toISOString(),
+      detected_on: detectedOn,
+      added: changes.added,
+      removed: changes.removed,
+      moved: changes.moved,
+      ttl: Math.floor(now.getTime() / 1000) + RETENTION_DAYS * 24 * 60 * 60
+    };
+
+    try {
+      await docClient.send(new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item
+      }));
+
+      console.log(`[BinChanges] Recorded change ${item.change_id} for household ${householdId}`);
+      return item;
+    } catch (error) {
+      console.error('[BinChanges] Error recording change:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List a household's recorded changes, newest first
+   * @param {string} householdId - Household ID
+   * @param {Object} [options] - { limit, exclusiveStartKey }
+   * @returns {Promise<Object>} { items, lastEvaluatedKey } - lastEvaluatedKey is null on the last page
+   */
+  async listChanges(householdId, { limit = 20, exclusiveStartKey } = {}) {
+    if (!TABLE_NAME) {
+      console.log('[BinChanges] BIN_CHANGES_TABLE not set, no change log');
+      return { items: [], lastEvaluatedKey: null };
+    }
+
+    try {
+      const response = await docClient.send(new QueryCommand({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: 'household_id = :h',
+        ExpressionAttributeValues: { ':h': householdId },
+        ScanIndexForward: false,
+        Limit: limit,
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+
+      const items = response.Items || [];
+      console.log(`[BinChanges] Found ${items.length} changes for household ${householdId}`);
+
+      return { items, lastEvaluatedKey: response.LastEvaluatedKey || null };
+    } catch (error) {
+      console.error('[BinChanges] Error listing changes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a change was found on a given day (failures are logged and count as no)
+   * @param {string} householdId - Household ID
+   * @param {string} date - Day in the household timezone (YYYY-MM-DD)
+   * @returns {Promise<boolean>} True if the latest change was found that day
+   */
+  async hasChangeOn(householdId, date) {
+    try {
+      const { items } = await this.listChanges(householdId, { limit: 1 });
+      return items[0]?.detected_on === date;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = new BinChangeService();
@@ -1,13 +1,52 @@
 /**
  * Bin Collection Database Service
  * Handles DynamoDB operations for bin_collection table
+ *
+ * Collections are partitioned per household: the partition key `pk` is
+ * "{household_id}#{date}" and `service` is the sort key. A collection that
+ * has been put out carries `acknowledged_at`, which later syncs keep.
  */
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, QueryCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, QueryCommand, UpdateCommand, DeleteCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+
+const dateUtils = require('../utils/dateUtils');
 
 const TABLE_NAME = process.env.BIN_COLLECTION_TABLE;
 
+// A collection that disappears and reappears for the same service within
+// this many days counts as moved (e.g. a bank holiday shift)
+const MAX_MOVE_DAYS = 7;
+
+/**
+ * Partition key for a household's date
+ */
+function partitionKey(householdId, date) {
+  return `${householdId}#${date}`;
+}
+
+/**
+ * Identity of a collection: its date and service
+ */
+function collectionKey(collection) {
+  return `${collection.date}#${collection.service}`;
+}
+
+/**
+ * Whether a provider collection can be stored
+ */
+function isValidCollection(collection) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(collection.date) && Boolean(collection.service);
+}
+
+/**
+ * Strip storage-only attributes from an item before returning it
+ */
+function toCollection(item) {
+  const { pk, ...collection } = item;
+  return collection;
+}
+
 // Create DynamoDB client
 const client = new DynamoDBClient({
   region: process.env.AWS_REGION || 'us-east-1'
@@ -23,12 +62,14 @@ const docClient = DynamoDBDocumentClient.from(client, {
 class BinCollectionDbService {
   /**
    * Store or update bin collection in database
+   * Only the provider's fields are written, so an acknowledgement survives a re-sync.
+   * @param {string} householdId - Household ID
    * @param {string} date - Date in YYYY-MM-DD format
-   * @param {string} service - Service type (original name from API)
+   * @param {string} service - Service type (provider's own name)
    * @param {object} collectionData - Full collection data
    * @returns {Promise<Object>} Stored collection object
    */
-  async upsertBinCollection(date, service, collectionData) {
+  async upsertBinCollection(householdId, date, service, collectionData) {
     try {
       const now = new Date().toISOString();
       
@@ -38,27 +79,35 @@ class BinCollectionDbService {
       ttlDate.setDate(ttlDate.getDate() + 90);
       const ttl = Math.floor(ttlDate.getTime() / 1000);
 
-      const item = {
-        date: date,                    // Partition key (YYYY-MM-DD)
-        service: service,              // Sort key (original service name)
+      const fields = {
+        household_id: householdId,
+        date: date,                    // Collection date (YYYY-MM-DD)
         day: collectionData.day || '', // Day of week
         round: collectionData.round || '',
         schedule: collectionData.schedule || '',
         updated_at: now,
         ttl: ttl
       };
+      const entries = Object.entries(fields);
 
-      console.log(`[BinCollectionDB] Upserting bin collection: ${date} - ${service}`);
+      console.log(`[BinCollectionDB] Upserting bin collection for ${householdId}: ${date} - ${service}`);
 
-      const command = new PutCommand({
+      const command = new UpdateCommand({
         TableName: TABLE_NAME,
-        Item: item
+        Key: {
+          pk: partitionKey(householdId, date), // Partition key ({household_id}#{date})
+          service: service                     // Sort key (original service name)
+        },
+        UpdateExpression: `set ${entries.map((_, i) => `#f${i} = :v${i}`).join(', ')}`,
+        ExpressionAttributeNames: Object.fromEntries(entries.map(([name], i) => [`#f${i}`, name])),
+        ExpressionAttributeValues: Object.fromEntries(entries.map(([, value], i) => [`:v${i}`, value])),
+        ReturnValues: 'ALL_NEW'
       });
 
-      await docClient.send(command);
+      const response = await docClient.send(command);
       console.log(`[BinCollectionDB] Successfully stored bin collection`);
       
-      return item;
+      return toCollection(response.Attributes);
     } catch (error) {
       console.error('[BinCollectionDB] Error upserting bin collection:', error);
       throw error;
@@ -67,26 +116,24 @@ class BinCollectionDbService {
 
   /**
    * Get all bin collections for a specific date
+   * @param {string} householdId - Household ID
    * @param {string} date - Date in YYYY-MM-DD format
    * @returns {Promise<Array>} Array of collection objects
    */
-  async getBinCollectionsByDate(date) {
+  async getBinCollectionsByDate(householdId, date) {
     try {
-      console.log(`[BinCollectionDB] Querying bin collections for date: ${date}`);
+      console.log(`[BinCollectionDB] Querying bin collections for household ${householdId}, date: ${date}`);
 
       const command = new QueryCommand({
         TableName: TABLE_NAME,
-        KeyConditionExpression: '#date = :date',
-        ExpressionAttributeNames: {
-          '#date': 'date'
-        },
+        KeyConditionExpression: 'pk = :pk',
         ExpressionAttributeValues: {
-          ':date': date
+          ':pk': partitionKey(householdId, date)
         }
       });
 
       const response = await docClient.send(command);
-      const items = response.Items || [];
+      const items = (response.Items || []).map(toCollection);
       
       console.log(`[BinCollectionDB] Found ${items.length} bin collections for ${date}`);
       
@@ -98,36 +145,110 @@ class BinCollectionDbService {
   }
 
   /**
-   * Get tomorrow's bin collections
+   * Mark collections as put out, so the reminder stops asking for them
+   * Services without a stored collection on the date are skipped.
+   * @param {string} householdId - Household ID
+   * @param {string} date - Collection date in YYYY-MM-DD format
+   * @param {Array<string>} services - Service names as stored
+   * @returns {Promise<Array>} Acknowledged collection objects
+   */
+  async acknowledgeCollections(householdId, date, services) {
+    const now = new Date().toISOString();
+    const acknowledged = [];
+
+    try {
+      for (const service of services) {
+        try {
+          const response = await docClient.send(new UpdateCommand({
+            TableName: TABLE_NAME,
+            Key: { pk: partitionKey(householdId, date), service },
+            UpdateExpression: 'set acknowledged_at = if_not_exists(acknowledged_at, :now)',
+            ConditionExpression: 'attribute_exists(pk)',
+            ExpressionAttributeValues: { ':now': now },
+            ReturnValues: 'ALL_NEW'
+          }));
+          acknowledged.push(toCollection(response.Attributes));
+        } catch (error) {
+          if (error.name !== 'ConditionalCheckFailedException') throw error;
+          console.warn(`[BinCollectionDB] No ${service} collection on ${date} to acknowledge`);
+        }
+      }
+
+      console.log(`[BinCollectionDB] Acknowledged ${acknowledged.length} bin collection(s) on ${date} for household ${householdId}`);
+      return acknowledged;
+    } catch (error) {
+      console.error('[BinCollectionDB] Error acknowledging bin collections:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every stored bin collection of a household (full table scan, for exports)
+   * @param {string} householdId - Household ID
+   * @returns {Promise<Array>} Array of collection objects ordered by date
+   */
+  async getAllCollections(householdId) {
+    try {
+      console.log(`[BinCollectionDB] Scanning all bin collections for household ${householdId}`);
+
+      const items = [];
+      let exclusiveStartKey;
+
+      do {
+        const response = await docClient.send(new ScanCommand({
+          TableName: TABLE_NAME,
+          FilterExpression: 'household_id = :h',
+          ExpressionAttributeValues: {
+            ':h': householdId
+          },
+          ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(response.Items || []).map(toCollection));
+        exclusiveStartKey = response.LastEvaluatedKey;
+      } while (exclusiveStartKey);
+
+      console.log(`[BinCollectionDB] Scanned ${items.length} bin collections`);
+
+      return items.sort((a, b) => a.date.localeCompare(b.date));
+    } catch (error) {
+      console.error('[BinCollectionDB] Error scanning bin collections:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get tomorrow's bin collections (tomorrow in the household timezone)
+   * @param {string} householdId - Household ID
+   * @param {string} [timeZone] - Household's IANA timezone
    * @returns {Promise<Array>} Array of tomorrow's collections
    */
-  async getTomorrowCollections() {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const tomorrowDate = tomorrow.toISOString().split('T')[0];
+  async getTomorrowCollections(householdId, timeZone) {
+    const tomorrowDate = dateUtils.tomorrow(timeZone);
     
-    return await this.getBinCollectionsByDate(tomorrowDate);
+    return await this.getBinCollectionsByDate(householdId, tomorrowDate);
   }
 
   /**
-   * Batch store bin collections from Reading API
-   * @param {Array} collections - Array of collection objects from Reading API
+   * Batch store normalised bin collections from a provider
+   * @param {string} householdId - Household ID
+   * @param {Array} collections - Array of { date: 'YYYY-MM-DD', service, day, round, schedule }
    * @returns {Promise<number>} Number of collections stored
    */
-  async storeBinCollections(collections) {
+  async storeBinCollections(householdId, collections) {
     try {
-      console.log(`[BinCollectionDB] Storing ${collections.length} bin collections`);
+      console.log(`[BinCollectionDB] Storing ${collections.length} bin collections for household ${householdId}`);
       
       let storedCount = 0;
       
       for (const collection of collections) {
-        // Parse date from "DD/MM/YYYY HH:MM:SS" to "YYYY-MM-DD"
-        const [datePart] = collection.date.split(' ');
-        const [day, month, year] = datePart.split('/');
-        const dateStr = `${year}-${month}-${day}`;
-        
+        if (!isValidCollection(collection)) {
+          console.warn('[BinCollectionDB] Skipping invalid collection:', collection);
+          continue;
+        }
+
         await this.upsertBinCollection(
-          dateStr,
+          householdId,
+          collection.date,
           collection.service,
           collection
         );
@@ -142,6 +263,77 @@ class BinCollectionDbService {
       throw error;
     }
   }
+
+  /**
+   * Store a provider's collections and diff them against the stored ones
+   * Only the days both cover are compared (after `after`, up to the last day
+   * of both the fetch and the stored collections), so the feed's horizon
+   * moving on is not a change. Stored collections on those days that the
+   * feed no longer has are deleted. A removed and an added collection of the
+   * same service up to MAX_MOVE_DAYS apart count as a move. Nothing counts as
+   * a change while no collections are stored yet.
+   * @param {string} householdId - Household ID
+   * @param {Array} collections - Array of { date: 'YYYY-MM-DD', service, day, round, schedule }
+   * @param {string} after - Compare collections after this date (YYYY-MM-DD, usually today)
+   * @returns {Promise<Object>} { storedCount, deletedCount, changes: { added, removed, moved } } -
+   *   added/removed are { date, service }, moved are { service, from, to }
+   */
+  async reconcileBinCollections(householdId, collections, after) {
+    const fetched = collections.filter(isValidCollection);
+    const stored = (await this.getAllCollections(householdId)).filter(c => c.date > after);
+
+    const lastFetched = fetched.reduce((last, c) => (c.date > last ? c.date : last), after);
+    const lastStored = stored.reduce((last, c) => (c.date > last ? c.date : last), after);
+    const fetchedKeys = new Set(fetched.map(collectionKey));
+    const storedKeys = new Set(stored.map(collectionKey));
+
+    const stale = stored.filter(c => c.date <= lastFetched && !fetchedKeys.has(collectionKey(c)));
+    let removed = stale.map(c => ({ date: c.date, service: c.service }));
+    let added = fetched
+      .filter(c => c.date > after && c.date <= lastStored && !storedKeys.has(collectionKey(c)))
+      .map(c => ({ date: c.date, service: c.service }));
+
+    // Pair each removal with the nearest addition of the same service
+    const moved = [];
+    for (const from of removed) {
+      const to = added
+        .filter(a => a.service === from.service && Math.abs(dateUtils.daysBetween(from.date, a.date)) <= MAX_MOVE_DAYS)
+        .sort((a, b) => Math.abs(dateUtils.daysBetween(from.date, a.date)) - Math.abs(dateUtils.daysBetween(from.date, b.date)))[0];
+      if (!to) continue;
+
+      moved.push({ service: from.service, from: from.date, to: to.date });
+      added = added.filter(a => a !== to);
+    }
+    removed = removed.filter(r => !moved.some(m => m.service === r.service && m.from === r.date));
+
+    const storedCount = await this.storeBinCollections(householdId, fetched);
+
+    try {
+      for (const collection of stale) {
+        await docClient.send(new DeleteCommand({
+          TableName: TABLE_NAME,
+          Key: { pk: partitionKey(householdId, collection.date), service: collection.service }
+        }));
+      }
+    } catch (error) {
+      console.error('[BinCollectionDB] Error deleting stale bin collections:', error);
+      throw error;
+    }
+
+    if (added.length + removed.length + moved.length > 0) {
+      console.log(`[BinCollectionDB] Bin schedule changed for household ${householdId}: ` +
+        `${added.length} added, ${removed.length} removed, ${moved.length} moved`);
+    }
+    if (stale.length > 0) {
+      console.log(`[BinCollectionDB] Deleted ${stale.length} stale bin collection(s)`);
+    }
+
+    return {
+      storedCount,
+      deletedCount: stale.length,
+      changes: { added, removed, moved }
+    };
+  }
 }
 
 module.exports = new BinCollectionDbService();
@@ -1,218 +1,191 @@
 /**
  * Bin Collection Service
- * Fetches bin collection schedules from Reading Council API
+ * Fetches bin collection schedules from the configured provider
+ * (Reading Council API by default, see ./binProviders)
+ *
+ * How the last fetches went is kept in DynamoDB (see binFetchStateService)
+ * rather than in memory, so it survives Lambda cold starts. While the last
+ * successful fetch is less than CACHE_TTL_HOURS old the provider is not
+ * called, and when it fails the stored collections are used instead.
  */
 
-const axios = require('axios');
+const dateUtils = require('../utils/dateUtils');
+const householdService = require('./householdService');
+const binCollectionDbService = require('./binCollectionDbService');
+const binFetchStateService = require('./binFetchStateService');
+const { createProvider } = require('./binProviders');
 
-const UPRN = process.env.UPRN || '310022781';
-const READING_API_URL = process.env.READING_API_URL || 'https://api.reading.gov.uk/api/collections';
-const READING_API_TIMEOUT = parseInt(process.env.READING_API_TIMEOUT) || 5000;
 const CACHE_TTL_HOURS = parseInt(process.env.CACHE_TTL_HOURS) || 12;
 
-// Service name mapping
-const SERVICE_MAPPING = {
-  'Domestic Waste Collection Service': 'Grey bin',
-  'Recycling Collection Service': 'Red bin',
-  'Food Waste Collection Service': 'Food waste'
-};
-
-// Simple in-memory cache
-let cache = {
-  data: null,
-  timestamp: null
-};
-
 class BinCollectionService {
   /**
-   * Fetch bin collections from Reading Council API (raw data for storing)
-   * @returns {Promise<Array>} Array of raw collection objects from API
+   * Fetch normalised bin collections from a household's provider, or from
+   * the database while the last fetch is fresh or when the provider fails
+   * A provider response is not recorded as a successful fetch here: the caller
+   * stores it and then calls recordFetchSuccess(), so a fetch whose collections
+   * were never stored does not stop the next run from fetching again.
+   * @param {Object} [household] - Household (defaults to the environment-configured household)
+   * @returns {Promise<Object>} { collections, source, status } - collections are
+   *   { date: 'YYYY-MM-DD', service, day, round, schedule }; source is `provider` (fetched now),
+   *   `stored` (the last fetch is still fresh) or `fallback` (the provider failed);
+   *   status as getFetchStatus() returns it (for `provider`, as it was before this fetch)
    */
-  async fetchBinCollections() {
-    // Check cache first
-    if (this.isCacheValid()) {
-      console.log('[BinCollection] Using cached data');
-      return cache.data;
+  async fetchBinCollections(household = householdService.getDefaultHousehold()) {
+    const state = await this.getFetchState(household.id);
+
+    if (this.isFresh(state)) {
+      console.log(`[BinCollection] Last fetch for household ${household.id} at ${state.last_success_at} is still fresh, using stored collections`);
+      return {
+        collections: await this.getStoredCollections(household),
+        source: 'stored',
+        status: this.getFetchStatus(state)
+      };
     }
 
     try {
-      const url = `${READING_API_URL}/${UPRN}`;
-      console.log('[BinCollection] Fetching from API:', url);
-
-      const response = await axios.get(url, {
-        timeout: READING_API_TIMEOUT,
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'Quote0-API/1.0'
-        }
-      });
-
-      if (!response.data.success) {
-        throw new Error(`API returned unsuccessful response: ${response.data.error_description}`);
-      }
+      const provider = this.getProvider(household);
+      console.log(`[BinCollection] Fetching from provider: ${provider.name} (household ${household.id})`);
 
-      const collections = response.data.collections;
-      console.log(`[BinCollection] Fetched ${collections.length} collections from API`);
+      const collections = await provider.fetchCollections();
+      console.log(`[BinCollection] Fetched ${collections.length} collections from ${provider.name}`);
 
-      // Update cache
-      cache = {
-        data: collections,
-        timestamp: Date.now()
-      };
+      if (state?.response_hash === binFetchStateService.hashResponse(collections)) {
+        console.log(`[BinCollection] Provider response unchanged since ${state.last_success_at}`);
+      }
 
-      return collections;
+      return { collections, source: 'provider', status: this.getFetchStatus(state) };
     } catch (error) {
-      console.error('[BinCollection] API fetch failed:', error.message);
-      
-      // Fallback to cached data even if expired
-      if (cache.data) {
-        console.warn('[BinCollection] Using expired cache due to API failure');
-        return cache.data;
-      }
-      
-      // No cache available, return empty array
-      console.warn('[BinCollection] No cache available, returning empty array');
-      return [];
+      console.error('[BinCollection] Provider fetch failed:', error.message);
+
+      const status = await this.recordFetchFailure(household, error, state);
+
+      // Fall back to the collections stored by earlier fetches, however old
+      const collections = await this.getStoredCollections(household);
+      console.warn(`[BinCollection] Using ${collections.length} stored collections due to provider failure` +
+        `${state?.last_success_at ? ` (last successful fetch ${state.last_success_at})` : ''}`);
+
+      return { collections, source: 'fallback', status };
     }
   }
 
   /**
-   * Fetch bin collections from Reading Council API (LEGACY method)
-   * @returns {Promise<Array>} Array of collection objects
+   * Record that a household's provider response has been stored
+   * @param {Object} household - Household
+   * @param {Array} collections - Collections the provider returned
+   * @returns {Promise<Object>} Fetch status (see getFetchStatus)
    */
-  async fetchCollections() {
-    // Check cache first
-    if (this.isCacheValid()) {
-      console.log('[BinCollection] Using cached data');
-      return cache.data;
-    }
+  async recordFetchSuccess(household, collections) {
+    const updated = await this.saveFetchState(household.id, () =>
+      binFetchStateService.recordSuccess(household.id, { provider: household.bin_provider || 'reading', collections }));
 
-    try {
-      const url = `${READING_API_URL}/${UPRN}`;
-      console.log('[BinCollection] Fetching from API:', url);
-
-      const response = await axios.get(url, {
-        timeout: READING_API_TIMEOUT,
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'Quote0-API/1.0'
-        }
-      });
-
-      if (!response.data.success) {
-        throw new Error(`API returned unsuccessful response: ${response.data.error_description}`);
-      }
+    return this.getFetchStatus(updated || { last_success_at: new Date().toISOString() });
+  }
 
-      const collections = response.data.collections;
-      console.log(`[BinCollection] Fetched ${collections.length} collections from API`);
+  /**
+   * Record that fetching or storing a household's collections failed
+   * @param {Object} household - Household
+   * @param {Error} error - What went wrong
+   * @param {Object|null} [state] - Fetch state before the attempt, reported if the failure cannot be saved
+   * @returns {Promise<Object>} Fetch status (see getFetchStatus)
+   */
+  async recordFetchFailure(household, error, state = null) {
+    const updated = await this.saveFetchState(household.id, () =>
+      binFetchStateService.recordFailure(household.id, { provider: household.bin_provider || 'reading', error }));
 
-      // Update cache
-      cache = {
-        data: collections,
-        timestamp: Date.now()
-      };
+    return this.getFetchStatus(updated || { ...state, last_error: error.message });
+  }
+
+  /**
+   * Create the provider configured for a household
+   * @param {Object} household - Household
+   * @returns {Object} Provider instance
+   */
+  getProvider(household) {
+    return createProvider(household);
+  }
 
-      return collections;
+  /**
+   * Get a household's fetch state, treating a state that cannot be read as none
+   * @param {string} householdId - Household ID
+   * @returns {Promise<Object|null>} State (see binFetchStateService.getState)
+   */
+  async getFetchState(householdId) {
+    try {
+      return await binFetchStateService.getState(householdId);
     } catch (error) {
-      console.error('[BinCollection] API fetch failed:', error.message);
-      
-      // Fallback to cached data even if expired
-      if (cache.data) {
-        console.warn('[BinCollection] Using expired cache due to API failure');
-        return cache.data;
-      }
-      
-      // No cache available, return empty array
-      console.warn('[BinCollection] No cache available, returning empty array');
-      return [];
+      console.warn(`[BinCollection] Could not read fetch state, fetching from provider: ${error.message}`);
+      return null;
     }
   }
 
   /**
-   * Get tomorrow's bin collections with friendly names
-   * @returns {Promise<Array>} Array of tomorrow's collections
+   * Save a fetch outcome; failing to save it does not fail the fetch
+   * @param {string} householdId - Household ID
+   * @param {Function} save - Saves the outcome, resolving to the updated state
+   * @returns {Promise<Object|null>} Updated state, or null if it was not saved
    */
-  async getTomorrowCollections() {
+  async saveFetchState(householdId, save) {
     try {
-      const collections = await this.fetchCollections();
-      const tomorrow = this.getTomorrowDate();
-      
-      console.log('[BinCollection] Filtering for tomorrow:', tomorrow.toDateString());
-
-      const tomorrowCollections = collections
-        .filter(c => {
-          const collectionDate = this.parseDate(c.date);
-          return collectionDate.toDateString() === tomorrow.toDateString();
-        })
-        .map(c => ({
-          service: SERVICE_MAPPING[c.service] || c.service,
-          originalService: c.service,
-          date: c.date,
-          day: c.day
-        }));
-
-      console.log(`[BinCollection] Found ${tomorrowCollections.length} collections for tomorrow`);
-      
-      if (tomorrowCollections.length > 0) {
-        console.log('[BinCollection] Tomorrow collections:', tomorrowCollections.map(c => c.service).join(', '));
-      }
-
-      return tomorrowCollections;
+      return await save();
     } catch (error) {
-      console.error('[BinCollection] Error getting tomorrow collections:', error);
-      return [];
+      console.warn(`[BinCollection] Could not save fetch state for household ${householdId}: ${error.message}`);
+      return null;
     }
   }
 
   /**
-   * Parse date string from API format (DD/MM/YYYY HH:MM:SS)
-   * @param {string} dateString - Date string from API
-   * @returns {Date} Parsed date object
+   * A household's stored collections from today on
+   * @param {Object} household - Household
+   * @returns {Promise<Array>} Array of normalised collection objects
    */
-  parseDate(dateString) {
-    // Parse "03/02/2026 00:00:00" format
-    const [datePart] = dateString.split(' ');
-    const [day, month, year] = datePart.split('/');
-    return new Date(year, month - 1, day);
+  async getStoredCollections(household) {
+    const today = dateUtils.today(household.timezone);
+    return (await binCollectionDbService.getAllCollections(household.id)).filter(c => c.date >= today);
   }
 
   /**
-   * Get tomorrow's date at midnight
-   * @returns {Date} Tomorrow's date
+   * Check if the last successful fetch is recent enough to skip the provider
+   * @param {Object|null} state - Fetch state (see binFetchStateService.getState)
+   * @returns {boolean} True if it is less than CACHE_TTL_HOURS old
    */
-  getTomorrowDate() {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-    return tomorrow;
+  isFresh(state) {
+    const age = this.getAgeHours(state);
+    if (age === null) return false;
+
+    const isFresh = age < CACHE_TTL_HOURS;
+    if (!isFresh) {
+      console.log(`[BinCollection] Stored collections are stale (last fetch ${Math.round(age * 60)} minutes ago)`);
+    }
+
+    return isFresh;
   }
 
   /**
-   * Check if cache is still valid
-   * @returns {boolean} True if cache is valid
+   * Hours since the last successful fetch
+   * @param {Object|null} state - Fetch state (see binFetchStateService.getState)
+   * @returns {number|null} Age in hours, or null if no fetch has succeeded
    */
-  isCacheValid() {
-    if (!cache.data || !cache.timestamp) {
-      return false;
-    }
-    
-    const age = Date.now() - cache.timestamp;
-    const maxAge = CACHE_TTL_HOURS * 60 * 60 * 1000;
-    const isValid = age < maxAge;
-    
-    if (!isValid) {
-      console.log(`[BinCollection] Cache expired (age: ${Math.round(age / 1000 / 60)} minutes)`);
-    }
-    
-    return isValid;
+  getAgeHours(state) {
+    if (!state?.last_success_at) return null;
+    return (Date.now() - new Date(state.last_success_at).getTime()) / (60 * 60 * 1000);
   }
 
   /**
-   * Clear the cache (useful for testing)
+   * How fresh a household's stored collections are, for metrics
+   * @param {Object|null} state - Fetch state (see binFetchStateService.getState)
+   * @returns {Object} { last_success_at, age_hours (1 decimal, null if never fetched),
+   *   stale (older than CACHE_TTL_HOURS or never fetched), last_error, consecutive_failures }
    */
-  clearCache() {
-    cache = { data: null, timestamp: null };
-    console.log('[BinCollection] Cache cleared');
+  getFetchStatus(state) {
+    const age = this.getAgeHours(state);
+
+    return {
+      last_success_at: state?.last_success_at || null,
+      age_hours: age === null ? null : Math.round(age * 10) / 10,
+      stale: age === null || age >= CACHE_TTL_HOURS,
+      last_error: state?.last_error || null,
+      consecutive_failures: state?.consecutive_failures || 0
+    };
   }
 }
 
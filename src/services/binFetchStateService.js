@@ -0,0 +1,132 @@
+/**
+ * Bin Fetch State Service
+ * Remembers, per household, how the last bin collection fetches from its
+ * provider went (when one last succeeded, a hash of what it returned, and
+ * the error of the last failure) so that Lambda invocations can skip the
+ * provider while the stored collections are fresh
+ */
+
+const crypto = require('crypto');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+const TABLE_NAME = process.env.BIN_FETCH_STATE_TABLE;
+
+// Create DynamoDB client
+const client = new DynamoDBClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const docClient = DynamoDBDocumentClient.from(client, {
+  marshallOptions: {
+    removeUndefinedValues: true,
+    convertEmptyValues: false
+  }
+});
+
+class BinFetchStateService {
+  /**
+   * Get a household's fetch state
+   * @param {string} householdId - Household ID
+   * @returns {Promise<Object|null>} State ({ household_id, provider, last_success_at, response_hash,
+   *   collection_count, last_attempt_at, last_error, last_error_at, consecutive_failures }), or null if none is stored
+   */
+  async getState(householdId) {
+    if (!TABLE_NAME) return null;
+
+    try {
+      const response = await docClient.send(new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { household_id: householdId }
+      }));
+
+      return response.Item || null;
+    } catch (error) {
+      console.error('[BinFetchState] Error getting fetch state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hash of a provider response, to tell whether it changed since the last fetch
+   * @param {Array} collections - Collections the provider returned
+   * @returns {string} SHA-256 hex digest
+   */
+  hashResponse(collections) {
+    return crypto.createHash('sha256').update(JSON.stringify(collections)).digest('hex');
+  }
+
+  /**
+   * Record a successful fetch, clearing the error state
+   * @param {string} householdId - Household ID
+   * @param {Object} fetch - { provider, collections }
+   * @returns {Promise<Object|null>} Updated state, or null if no table is configured
+   */
+  async recordSuccess(householdId, { provider, collections }) {
+    if (!TABLE_NAME) return null;
+
+    const now = new Date().toISOString();
+
+    try {
+      const response = await docClient.send(new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { household_id: householdId },
+        UpdateExpression: 'set provider = :provider, last_success_at = :now, last_attempt_at = :now, ' +
+          'response_hash = :hash, collection_count = :count, consecutive_failures = :zero ' +
+          'remove last_error, last_error_at',
+        ExpressionAttributeValues: {
+          ':provider': provider,
+          ':now': now,
+          ':hash': this.hashResponse(collections),
+          ':count': collections.length,
+          ':zero': 0
+        },
+        ReturnValues: 'ALL_NEW'
+      }));
+
+      console.log(`[BinFetchState] Recorded successful fetch for household ${householdId} (${collections.length} collections)`);
+      return response.Attributes;
+    } catch (error) {
+      console.error('[BinFetchState] Error recording successful fetch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed fetch, keeping the time of the last success
+   * @param {string} householdId - Household ID
+   * @param {Object} fetch - { provider, error }
+   * @returns {Promise<Object|null>} Updated state, or null if no table is configured
+   */
+  async recordFailure(householdId, { provider, error }) {
+    if (!TABLE_NAME) return null;
+
+    const now = new Date().toISOString();
+
+    try {
+      const response = await docClient.send(new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { household_id: householdId },
+        UpdateExpression: 'set provider = :provider, last_attempt_at = :now, last_error = :error, ' +
+          'last_error_at = :now, consecutive_failures = if_not_exists(consecutive_failures, :zero) + :one',
+        ExpressionAttributeValues: {
+          ':provider': provider,
+          ':now': now,
+          ':error': error.message,
+          ':zero': 0,
+          ':one': 1
+        },
+        ReturnValues: 'ALL_NEW'
+      }));
+
+      console.log(`[BinFetchState] Recorded failed fetch for household ${householdId} ` +
+        `(${response.Attributes.consecutive_failures} in a row)`);
+      return response.Attributes;
+    } catch (stateError) {
+      console.error('[BinFetchState] Error recording failed fetch:', stateError);
+      throw stateError;
+    }
+  }
+}
+
+module.exports = new BinFetchStateService();
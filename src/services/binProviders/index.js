@@ -0,0 +1,71 @@
+/**
+ * Bin Collection Providers
+ * Every provider exposes `fetchCollections()` resolving to normalised collections:
+ *
+ *   { date: 'YYYY-MM-DD', service, day, round, schedule }
+ *
+ * `service` is the provider's own name for the bin; displayFormatterService maps
+ * known names to friendly labels and shows anything else as-is.
+ */
+
+const ReadingProvider = require('./readingProvider');
+const StaticProvider = require('./staticProvider');
+
+const PROVIDERS = {
+  reading: ReadingProvider,
+  static: StaticProvider
+};
+
+/**
+ * Create a household's provider
+ * @param {Object} household - Household (see householdService)
+ * @param {string} [household.bin_provider='reading'] - Provider name
+ * @param {string} [household.uprn] - Property reference number (reading)
+ * @param {string} [household.bin_schedule_file] - Schedule file (static)
+ * @param {Object} [household.bin_schedule] - Inline schedule (static)
+ * @param {string} [household.timezone] - Household's IANA timezone, for today's date (static)
+ * @returns {Object} Provider instance
+ * @throws {Error} If the provider name is unknown
+ */
+function createProvider(household) {
+  const name = (household.bin_provider || 'reading').toLowerCase();
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown bin provider '${name}'. Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider({
+    ...getEnvConfig(name),
+    uprn: household.uprn,
+    file: household.bin_schedule_file,
+    schedule: household.bin_schedule,
+    timeZone: household.timezone
+  });
+}
+
+/**
+ * Deployment-wide provider settings from environment variables
+ * @param {string} name - Provider name
+ * @returns {Object} Provider config
+ */
+function getEnvConfig(name) {
+  switch (name) {
+    case 'reading':
+      return {
+        apiUrl: process.env.READING_API_URL || undefined,
+        timeout: parseInt(process.env.READING_API_TIMEOUT) || undefined
+      };
+    case 'static':
+      return {
+        horizonDays: parseInt(process.env.BIN_SCHEDULE_HORIZON_DAYS) || undefined
+      };
+    default:
+      return {};
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider
+};
@@ -0,0 +1,84 @@
+/**
+ * Reading Council Bin Provider
+ * Adapter for the Reading Borough Council collections API
+ *
+ * API: GET {READING_API_URL}/{UPRN}
+ * Response: { success: true, collections: [{ service, round, schedule, day, date: "DD/MM/YYYY HH:MM:SS" }] }
+ */
+
+const axios = require('axios');
+
+const DEFAULT_API_URL = 'https://api.reading.gov.uk/api/collections';
+const DEFAULT_TIMEOUT = 5000;
+
+class ReadingProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.uprn - Property reference number
+   * @param {string} [config.apiUrl] - Collections API base URL
+   * @param {number} [config.timeout] - Request timeout in ms
+   */
+  constructor({ uprn, apiUrl = DEFAULT_API_URL, timeout = DEFAULT_TIMEOUT } = {}) {
+    this.name = 'reading';
+    this.uprn = uprn;
+    this.apiUrl = apiUrl;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Fetch collections for the configured property
+   * @returns {Promise<Array>} Normalised collections
+   * @throws {Error} If the request fails or the API reports an error
+   */
+  async fetchCollections() {
+    if (!this.uprn) {
+      throw new Error('Reading provider requires a UPRN');
+    }
+
+    const url = `${this.apiUrl}/${this.uprn}`;
+    console.log('[BinProvider:reading] Fetching from API:', url);
+
+    const response = await axios.get(url, {
+      timeout: this.timeout,
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'Quote0-API/1.0'
+      }
+    });
+
+    if (!response.data.success) {
+      throw new Error(`API returned unsuccessful response: ${response.data.error_description}`);
+    }
+
+    return (response.data.collections || []).map(collection => this.normalize(collection));
+  }
+
+  /**
+   * Convert a Reading API collection to the normalised shape
+   * @param {Object} collection - Collection as returned by the API
+   * @returns {Object} Normalised collection
+   */
+  normalize(collection) {
+    return {
+      date: this.parseDate(collection.date),
+      service: collection.service,
+      day: collection.day || '',
+      round: collection.round || '',
+      schedule: collection.schedule || ''
+    };
+  }
+
+  /**
+   * Parse date string from API format (DD/MM/YYYY HH:MM:SS)
+   * @param {string} dateString - Date string from API
+   * @returns {string} Date in YYYY-MM-DD format
+   */
+  parseDate(dateString) {
+    // Parse "03/02/2026 00:00:00" format
+    const [datePart] = dateString.split(' ');
+    const [day, month, year] = datePart.split('/');
+    return `${year}-${month}-${day}`;
+  }
+}
+
+module.exports = ReadingProvider;
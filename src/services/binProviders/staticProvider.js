@@ -0,0 +1,181 @@
+/**
+ * Static Bin Provider
+ * Adapter for councils without an API: collections come from a JSON or YAML
+ * schedule maintained by hand.
+ *
+ * Schedule format (YAML shown, JSON uses the same keys):
+ *
+ *   recurring:
+ *     - service: Grey bin
+ *       start_date: 2026-01-06   # Any collection date in the cycle
+ *       every_weeks: 2           # Optional, default 1
+ *       until: 2026-12-31        # Optional
+ *   collections:                 # Optional one-off collections
+ *     - service: Garden waste
+ *       date: 2026-04-14
+ *   exceptions:                  # Optional moved or cancelled collections
+ *     - service: Grey bin
+ *       date: 2026-12-29
+ *       moved_to: 2026-12-31     # Omit to cancel the collection
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const dateUtils = require('../../utils/dateUtils');
+
+const DEFAULT_HORIZON_DAYS = 56;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+class StaticProvider {
+  /**
+   * @param {Object} config
+   * @param {string} [config.file] - Path to a .json, .yaml or .yml schedule (relative to the working directory)
+   * @param {Object} [config.schedule] - Already-parsed schedule (takes precedence over file)
+   * @param {number} [config.horizonDays] - How many days ahead to generate recurring collections
+   * @param {string} [config.timeZone] - Household's IANA timezone (defaults to HOUSEHOLD_TIMEZONE)
+   */
+  constructor({ file, schedule, horizonDays = DEFAULT_HORIZON_DAYS, timeZone } = {}) {
+    this.name = 'static';
+    this.file = file;
+    this.schedule = schedule;
+    this.horizonDays = horizonDays;
+    this.timeZone = timeZone;
+  }
+
+  /**
+   * Generate collections from today until the horizon
+   * @param {string} [from] - First date in YYYY-MM-DD format (defaults to today in the household timezone)
+   * @returns {Promise<Array>} Normalised collections ordered by date
+   * @throws {Error} If the schedule cannot be read or is invalid
+   */
+  async fetchCollections(from = dateUtils.today(this.timeZone)) {
+    const schedule = this.schedule || await this.loadSchedule();
+    const errors = StaticProvider.validateSchedule(schedule);
+    if (errors.length > 0) {
+      throw new Error(`Invalid bin schedule: ${errors.join('; ')}`);
+    }
+
+    const to = dateUtils.addDays(from, this.horizonDays);
+    const collections = new Map();
+    const add = (date, service) => {
+      if (date >= from && date <= to) {
+        collections.set(`${date}#${service}`, this.normalize(date, service));
+      }
+    };
+
+    for (const rule of schedule.recurring || []) {
+      const step = 7 * (rule.every_weeks || 1);
+      // Jump to the first occurrence on or after `from` without walking the whole history
+      const offset = Math.max(0, dateUtils.daysBetween(rule.start_date, from));
+      let date = dateUtils.addDays(rule.start_date, Math.ceil(offset / step) * step);
+
+      for (; date <= to && (!rule.until || date <= rule.until); date = dateUtils.addDays(date, step)) {
+        add(date, rule.service);
+      }
+    }
+
+    for (const collection of schedule.collections || []) {
+      add(collection.date, collection.service);
+    }
+
+    for (const exception of schedule.exceptions || []) {
+      collections.delete(`${exception.date}#${exception.service}`);
+      if (exception.moved_to) {
+        add(exception.moved_to, exception.service);
+      }
+    }
+
+    console.log(`[BinProvider:static] Generated ${collections.size} collections from ${from} to ${to}`);
+
+    return [...collections.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Read and parse the schedule file
+   * @returns {Promise<Object>} Parsed schedule
+   */
+  async loadSchedule() {
+    if (!this.file) {
+      throw new Error('Static provider requires BIN_SCHEDULE_FILE');
+    }
+
+    const filePath = path.resolve(process.cwd(), this.file);
+    console.log('[BinProvider:static] Reading schedule:', filePath);
+
+    const content = await fs.promises.readFile(filePath, 'utf8');
+
+    if (/\.json$/i.test(filePath)) {
+      return JSON.parse(content);
+    }
+
+    // CORE_SCHEMA keeps unquoted dates as strings instead of turning them into Date objects
+    return yaml.load(content, { schema: yaml.CORE_SCHEMA }) || {};
+  }
+
+  /**
+   * Build a normalised collection
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} service - Bin/service name as written in the schedule
+   * @returns {Object} Normalised collection
+   */
+  normalize(date, service) {
+    return {
+      date,
+      service,
+      day: DAY_NAMES[dateUtils.getWeekday(date)],
+      round: '',
+      schedule: 'static'
+    };
+  }
+
+  /**
+   * Validate a schedule object
+   * @param {Object} schedule - Parsed schedule
+   * @returns {Array<string>} Validation error messages (empty if valid)
+   */
+  static validateSchedule(schedule) {
+    const errors = [];
+
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+      return ['schedule must be an object with recurring, collections and/or exceptions'];
+    }
+
+    const checkList = (key, fields, check) => {
+      if (schedule[key] === undefined) return;
+      if (!Array.isArray(schedule[key])) {
+        errors.push(`${key} must be an array`);
+        return;
+      }
+      schedule[key].forEach((entry, index) => {
+        if (!entry || typeof entry.service !== 'string' || !entry.service.trim()) {
+          errors.push(`${key}[${index}].service is required`);
+        }
+        for (const field of fields) {
+          if (entry && entry[field] !== undefined && !DATE_PATTERN.test(entry[field])) {
+            errors.push(`${key}[${index}].${field} must be YYYY-MM-DD`);
+          }
+        }
+        if (entry && check) check(entry, index);
+      });
+    };
+
+    checkList('recurring', ['start_date', 'until'], (rule, index) => {
+      if (!rule.start_date) errors.push(`recurring[${index}].start_date is required`);
+      if (rule.every_weeks !== undefined && (!Number.isInteger(rule.every_weeks) || rule.every_weeks < 1)) {
+        errors.push(`recurring[${index}].every_weeks must be a positive integer`);
+      }
+    });
+    checkList('collections', ['date'], (collection, index) => {
+      if (!collection.date) errors.push(`collections[${index}].date is required`);
+    });
+    checkList('exceptions', ['date', 'moved_to'], (exception, index) => {
+      if (!exception.date) errors.push(`exceptions[${index}].date is required`);
+    });
+
+    return errors;
+  }
+}
+
+module.exports = StaticProvider;
@@ -1,38 +1,103 @@
 /**
  * Display Formatter Service
  * Formats events and bin collections for Quote/0 display
+ *
+ * Title, message and signature are sanitized for the device before they are
+ * truncated, so the limits apply to what is actually shown. The title,
+ * signature and empty message come from templates (see templateService).
+ *
+ * Timed events show their start time ("14:00 Doctor"). On today's display,
+ * events that have ended are left out, the current or next one is marked
+ * with "*" and one whose reminder is due (remind_before) with "!".
+ * Completed events are left out, or prefixed with the done_marker template
+ * when one is set.
+ *
+ * On the day a change to the bin schedule is found, the first line of every
+ * page is the bins_moved notice (see binChangeService).
  */
 
+const { sortEvents } = require('../utils/eventOrder');
+const dateUtils = require('../utils/dateUtils');
+const textSanitizerService = require('./textSanitizerService');
+const templateService = require('./templateService');
+
 const MAX_TITLE_LENGTH = 25;
 const MAX_LINE_LENGTH = 27 + 1;
 const MAX_LINES = 3;
+const MAX_PAGES = 5;
+const PAGE_INDICATOR_LENGTH = ' 5/5'.length;
+const ELLIPSIS = '...';
+const NEXT_MARKER = '*'; // The device cannot show "<" or ">"
+const REMINDER_MARKER = '!';
+
+// Service name mapping (Reading Council service → friendly bin name)
+const SERVICE_MAPPING = {
+  'Domestic Waste Collection Service': 'Grey bin',
+  'Recycling Collection Service': 'Red bin',
+  'Food Waste Collection Service': 'Food waste'
+};
 
 class DisplayFormatterService {
   /**
    * Format display data from database objects (NEW - for push architecture)
+   * Returns the first page when the day's events need more than one.
    * @param {Array} events - Array of event objects from DynamoDB
    * @param {Array} binCollections - Array of bin collection objects from DynamoDB
+   * @param {string} [date] - Date shown in the title (YYYY-MM-DD, defaults to today)
+   * @param {Object} [templates] - Templates (see templateService.getTemplates)
    * @returns {Object} Formatted display object for Quote/0
    */
-  formatDisplayFromDb(events, binCollections) {
+  formatDisplayFromDb(events, binCollections, date, templates) {
+    return this.formatDisplayPages(events, binCollections, date, templates)[0];
+  }
+
+  /**
+   * Format one display per page of the day's events
+   * When there is more than one page the title carries a page indicator
+   * ("2026/02/10 1/2"); the signature is the same on every page.
+   * @param {Array} events - Array of event objects from DynamoDB
+   * @param {Array} binCollections - Array of bin collection objects from DynamoDB
+   * @param {string} [date] - Date shown in the title (YYYY-MM-DD, defaults to today)
+   * @param {Object} [templates] - Templates (see templateService.getTemplates)
+   * @param {Object} [options] - { time: current time (HH:MM) when `date` is today, to leave out past events,
+   *   binsMoved: show the bins_moved notice }
+   * @returns {Array<Object>} Formatted display objects for Quote/0 (at least one)
+   */
+  formatDisplayPages(events, binCollections, date = dateUtils.today(), templates = templateService.getTemplates(), { time = null, binsMoved = false } = {}) {
     console.log('[DisplayFormatter] Formatting display from database objects');
     console.log(`Events: ${events.length}, Bin Collections: ${binCollections.length}`);
 
-    const title = this.formatTitle(); // Returns today's date in YYYY/MM/DD format
-    const signature = this.formatSignatureFromDb(binCollections);
-    const message = this.formatMessage(events);
+    const doneMarker = textSanitizerService.sanitize(templateService.render(templates.done_marker, templateService.buildContext({ date }))).text;
+    const shownEvents = this.prepareEvents(events, time, doneMarker);
 
-    console.log('[DisplayFormatter] Formatted display:');
-    console.log(`  Title: "${title}"`);
-    console.log(`  Signature: "${signature}"`);
-    console.log(`  Message: "${message.replace(/\n/g, '\\n')}"`);
+    const context = templateService.buildContext({
+      date,
+      eventCount: shownEvents.length,
+      bins: this.getBinNames(this.getPendingCollections(binCollections))
+    });
 
-    return {
-      refreshNow: true,
-      title,
-      message,
-      signature
-    };
+    const title = this.formatTitle(date, templates, context); // The date in YYYY/MM/DD format by default
+    const signature = this.formatSignatureFromDb(binCollections, templates, context);
+    const notice = binsMoved ? templateService.render(templates.bins_moved, context, MAX_LINE_LENGTH) : '';
+    const messages = this.paginateMessage(shownEvents, templateService.render(templates.no_events, context, MAX_LINE_LENGTH), notice);
+
+    return messages.map((message, index) => {
+      const pageTitle = messages.length > 1
+        ? `${title} ${index + 1}/${messages.length}`.substring(0, MAX_TITLE_LENGTH)
+        : title;
+
+      console.log(`[DisplayFormatter] Formatted display${messages.length > 1 ? ` (page ${index + 1}/${messages.length})` : ''}:`);
+      console.log(`  Title: "${pageTitle}"`);
+      console.log(`  Signature: "${signature}"`);
+      console.log(`  Message: "${message.replace(/\n/g, '\\n')}"`);
+
+      return {
+        refreshNow: true,
+        title: pageTitle,
+        message,
+        signature
+      };
+    });
   }
 
   /**
@@ -60,90 +125,256 @@ class DisplayFormatterService {
   }
 
   /**
-   * Format title as today's date (YYYY/MM/DD)
+   * Format title from the title template (the date as YYYY/MM/DD by default)
+   * @param {string} [date] - Date in YYYY-MM-DD format (defaults to today in the household timezone)
+   * @param {Object} [templates] - Templates (see templateService.getTemplates)
+   * @param {Object} [context] - Template context (see templateService.buildContext)
    * @returns {string} Formatted title (max 25 chars)
    */
-  formatTitle() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    
-    const title = `${year}/${month}/${day}`;
+  formatTitle(date = dateUtils.today(), templates = templateService.getTemplates(), context = templateService.buildContext({ date })) {
+    const { text: title } = textSanitizerService.sanitize(templateService.render(templates.title, context, MAX_TITLE_LENGTH - PAGE_INDICATOR_LENGTH));
     
-    // Ensure it doesn't exceed max length (shouldn't happen with date)
+    // Ensure it doesn't exceed max length
     return title.substring(0, MAX_TITLE_LENGTH);
   }
 
+  /**
+   * Put timed events' start times and markers into their text
+   * Untimed events are shown as they are. With `time` (the day shown is
+   * today), events that have ended (at end_time, or start_time without one)
+   * are left out; an event whose reminder is due gets "!" and otherwise the
+   * current or next timed event gets "*". Completed events are left out
+   * unless there is a done marker, which then replaces the other markers.
+   * @param {Array} events - Array of event objects
+   * @param {string|null} [time] - Current time (HH:MM) in the household timezone, or null for another day
+   * @param {string} [doneMarker] - Prefix for completed events ('' leaves them out)
+   * @returns {Array} Events to show, with their display text in `event`
+   */
+  prepareEvents(events, time = null, doneMarker = '') {
+    const open = doneMarker ? (events || []) : (events || []).filter(e => !e.completed_at);
+    const completed = (events || []).length - open.length;
+    if (completed > 0) console.log(`[DisplayFormatter] ${completed} completed event(s) left out`);
+
+    const shown = time
+      ? open.filter(e => !e.start_time || (e.end_time || e.start_time) > time)
+      : open;
+
+    const next = time
+      ? shown.filter(e => e.start_time && !e.completed_at).sort((a, b) => a.start_time.localeCompare(b.start_time))[0]
+      : null;
+    const hidden = open.length - shown.length;
+    if (hidden > 0) console.log(`[DisplayFormatter] ${hidden} event(s) already over at ${time}`);
+
+    return shown.map(e => {
+      if (e.completed_at) {
+        return { ...e, event: `${doneMarker}${e.start_time ? `${e.start_time} ` : ''}${e.event || ''}` };
+      }
+      if (!e.start_time) return e;
+
+      let marker = '';
+      if (time && this.isReminderDue(e, time)) marker = REMINDER_MARKER;
+      else if (e === next) marker = NEXT_MARKER;
+
+      return { ...e, event: `${marker}${e.start_time} ${e.event || ''}` };
+    });
+  }
+
+  /**
+   * Whether an event is within its reminder lead time (remind_before minutes before start_time)
+   * @param {Object} event - Event object
+   * @param {string} time - Current time (HH:MM)
+   * @returns {boolean} True if the event has not started and its reminder is due
+   */
+  isReminderDue(event, time) {
+    if (!event.start_time || !event.remind_before || time >= event.start_time) return false;
+
+    const toMinutes = t => Number(t.slice(0, 2)) * 60 + Number(t.slice(3, 5));
+    return toMinutes(event.start_time) - toMinutes(time) <= event.remind_before;
+  }
+
   /**
    * Format message from events (3 lines, 27 chars each)
+   * Returns the first page; see paginateMessage(). Completed events are left out.
    * @param {Array} events - Array of event objects
    * @returns {string} Formatted message with newlines
    */
   formatMessage(events) {
-    const lines = [];
-    
+    return this.paginateMessage(this.prepareEvents(events))[0];
+  }
+
+  /**
+   * Lay out the day's events as pages of 3 lines
+   * Events are laid out one after another in position order, each starting
+   * on a new line, and word-wrapped with wrapText() so the device shows what
+   * POST /api/events returns with wrap. An event that would straddle two
+   * pages starts a new page instead. After MAX_PAGES pages the rest is cut
+   * off with "...". A notice takes the first line of every page.
+   * @param {Array} events - Array of event objects
+   * @param {string} [emptyMessage] - Text shown when there are no events (the no_events template)
+   * @param {string} [notice] - Line shown above the events (empty for none)
+   * @returns {Array<string>} One message per page (at least one), each with 3 lines
+   */
+  paginateMessage(events, emptyMessage = '', notice = '') {
+    const noticeLines = this.wrapText(textSanitizerService.sanitize(notice).text, 1).lines;
+    const maxLines = MAX_LINES - noticeLines.length;
+
     if (!events || events.length === 0) {
       console.log('[DisplayFormatter] No events to display');
-      // Return 3 empty lines
-      return '\n\n';
+      const { lines } = this.wrapText(textSanitizerService.sanitize(emptyMessage).text, maxLines);
+      lines.unshift(...noticeLines);
+      // Pad to 3 lines (3 empty lines by default)
+      while (lines.length < MAX_LINES) {
+        lines.push('');
+      }
+      return [lines.join('\n')];
     }
 
-    // Process each event
-    for (const eventObj of events) {
-      if (lines.length >= MAX_LINES) break;
-      
-      const eventText = eventObj.event || '';
-      
-      // Split event text by existing newlines
-      const eventLines = eventText.split('\n');
-      
-      for (const line of eventLines) {
-        if (lines.length >= MAX_LINES) break;
-        
-        // Truncate line to max length
-        const truncated = line.substring(0, MAX_LINE_LENGTH);
-        lines.push(truncated);
+    const pages = [[]];
+
+    // Process each event in position order
+    for (const eventObj of sortEvents(events)) {
+      const { text } = textSanitizerService.sanitize(eventObj.event || '');
+      const { lines } = this.wrapText(text, Infinity);
+      let page = pages[pages.length - 1];
+
+      if (page.length > 0 && page.length + lines.length > maxLines && lines.length <= maxLines) {
+        pages.push(page = []);
+      }
+
+      for (const line of lines) {
+        if (page.length >= maxLines) pages.push(page = []);
+        page.push(line);
       }
     }
-    
-    // Pad with empty lines if we have less than 3 lines
-    while (lines.length < MAX_LINES) {
-      lines.push('');
+
+    if (pages.length > MAX_PAGES) {
+      console.log(`[DisplayFormatter] ${pages.length} pages of events, showing the first ${MAX_PAGES}`);
+      pages.length = MAX_PAGES;
+      const last = pages[MAX_PAGES - 1];
+      last[last.length - 1] = this.ellipsize(last[last.length - 1]);
     }
-    
-    // Join lines with newline character
-    return lines.join('\n');
+
+    return pages.map(lines => {
+      lines.unshift(...noticeLines);
+
+      // Pad with empty lines if we have less than 3 lines
+      while (lines.length < MAX_LINES) {
+        lines.push('');
+      }
+
+      // Join lines with newline character
+      return lines.join('\n');
+    });
+  }
+
+  /**
+   * Word-wrap text into the message grid
+   * Existing line breaks are kept. Words longer than a line are hyphenated,
+   * and text that does not fit in maxLines ends with "...".
+   * @param {string} text - Text to wrap (already sanitized)
+   * @param {number} [maxLines] - Lines available (defaults to the 3-line message area)
+   * @returns {{text: string, lines: Array<string>, truncated: boolean}} Wrapped text
+   */
+  wrapText(text, maxLines = MAX_LINES) {
+    const lines = [];
+
+    for (const paragraph of (text || '').split('\n')) {
+      let line = '';
+
+      for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+        if (!line && word.length <= MAX_LINE_LENGTH) {
+          line = word;
+          continue;
+        }
+
+        if (line && line.length + 1 + word.length <= MAX_LINE_LENGTH) {
+          line += ` ${word}`;
+          continue;
+        }
+
+        if (word.length > MAX_LINE_LENGTH) {
+          // Hyphenate, filling what is left of the current line first when there is room for a few letters
+          const room = line ? MAX_LINE_LENGTH - line.length - 2 : MAX_LINE_LENGTH - 1;
+          if (room >= 3) {
+            lines.push(`${line ? `${line} ` : ''}${word.slice(0, room)}-`);
+            word = word.slice(room);
+          } else if (line) {
+            lines.push(line);
+          }
+
+          while (word.length > MAX_LINE_LENGTH) {
+            lines.push(`${word.slice(0, MAX_LINE_LENGTH - 1)}-`);
+            word = word.slice(MAX_LINE_LENGTH - 1);
+          }
+          line = word;
+          continue;
+        }
+
+        lines.push(line);
+        line = word;
+      }
+
+      lines.push(line);
+    }
+
+    // Drop trailing blank lines so they don't count as overflow
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    const truncated = lines.length > maxLines;
+    if (truncated) {
+      lines.length = maxLines;
+      lines[maxLines - 1] = this.ellipsize(lines[maxLines - 1]);
+    }
+
+    return {
+      text: lines.join('\n'),
+      lines,
+      truncated
+    };
+  }
+
+  /**
+   * End a line with "..." to show that text was cut off
+   * @param {string} line - Last line that is shown
+   * @returns {string} Line with the ellipsis, still within the line length
+   */
+  ellipsize(line) {
+    if (line.length + ELLIPSIS.length > MAX_LINE_LENGTH) {
+      // Make room for the ellipsis, ending on a whole word where possible
+      const cut = MAX_LINE_LENGTH - ELLIPSIS.length;
+      line = line[cut] !== ' ' && line.lastIndexOf(' ', cut) > 0
+        ? line.slice(0, line.lastIndexOf(' ', cut))
+        : line.slice(0, cut);
+    }
+    return `${line.trimEnd()}${ELLIPSIS}`;
   }
 
   /**
    * Format signature from database bin collections (NEW - for push architecture)
+   * Uses the signature template ("{bins} tmr" by default) for the
+   * bins not yet put out, the bins_done template once every bin has been
+   * acknowledged, or the no_bins template when nothing goes out tomorrow.
    * @param {Array} binCollections - Array of bin collection objects from DynamoDB
+   * @param {Object} [templates] - Templates (see templateService.getTemplates)
+   * @param {Object} [context] - Template context (see templateService.buildContext)
    * @returns {string} Formatted signature (max 29 chars)
    */
-  formatSignatureFromDb(binCollections) {
+  formatSignatureFromDb(binCollections, templates = templateService.getTemplates(), context = null) {
+    const binNames = this.getBinNames(this.getPendingCollections(binCollections));
+    context = context || templateService.buildContext({ date: dateUtils.today(), bins: binNames });
+
+    let template = templates.signature;
     if (!binCollections || binCollections.length === 0) {
       console.log('[DisplayFormatter] No bin collections for tomorrow');
-      return '';
+      template = templates.no_bins;
+    } else if (binNames.length === 0) {
+      console.log('[DisplayFormatter] Every bin for tomorrow has been put out');
+      template = templates.bins_done;
     }
 
-    // Service name mapping
-    const SERVICE_MAPPING = {
-      'Domestic Waste Collection Service': 'Grey bin',
-      'Recycling Collection Service': 'Red bin',
-      'Food Waste Collection Service': 'Food waste'
-    };
-
-    // Map service names to friendly bin types
-    const binNames = binCollections
-      .map(bc => SERVICE_MAPPING[bc.service] || bc.service)
-      .filter((value, index, self) => self.indexOf(value) === index); // unique
-    
-    // Join with comma
-    const binsText = binNames.join(', ');
-    
-    // Format as "collect {bins} tmr"
-    const signature = `Collect ${binsText} tmr`;
+    const { text: signature } = textSanitizerService.sanitize(templateService.render(template, context, MAX_LINE_LENGTH));
 
     // Truncate to max length
     const truncated = signature.substring(0, MAX_LINE_LENGTH);
@@ -153,6 +384,51 @@ class DisplayFormatterService {
     return truncated;
   }
 
+  /**
+   * Unique friendly bin names for bin collections
+   * @param {Array} binCollections - Array of bin collection objects from DynamoDB
+   * @returns {Array<string>} Friendly names in collection order
+   */
+  getBinNames(binCollections) {
+    // Map service names to friendly bin types
+    return (binCollections || [])
+      .map(bc => this.getBinName(bc.service))
+      .filter((value, index, self) => self.indexOf(value) === index); // unique
+  }
+
+  /**
+   * Bin collections that still need putting out (not acknowledged)
+   * @param {Array} binCollections - Array of bin collection objects from DynamoDB
+   * @returns {Array} Collections without acknowledged_at
+   */
+  getPendingCollections(binCollections) {
+    return (binCollections || []).filter(bc => !bc.acknowledged_at);
+  }
+
+  /**
+   * Check templates against the display limits before they are saved
+   * @param {Object} templates - Templates to save (see templateService)
+   * @returns {Array<string>} Validation error messages (empty if valid)
+   */
+  validateTemplates(templates) {
+    return templateService.validateTemplates(templates, {
+      title: MAX_TITLE_LENGTH,
+      line: MAX_LINE_LENGTH,
+      pageIndicator: PAGE_INDICATOR_LENGTH,
+      bins: Object.values(SERVICE_MAPPING)
+    });
+  }
+
+  /**
+   * Friendly bin name for a stored service name
+   * Shared by the display signature, the calendar feed and the bins API so all show the same names.
+   * @param {string} service - Service name as stored in bin_collection
+   * @returns {string} Friendly name (e.g. "Grey bin"), or the service name if unmapped
+   */
+  getBinName(service) {
+    return SERVICE_MAPPING[service] || service;
+  }
+
   /**
    * Format signature for bin collection reminder (LEGACY - for API responses)
    * @param {Array} binCollections - Array of bin collection objects (with friendly names)
@@ -171,7 +447,7 @@ class DisplayFormatterService {
     const binsText = binNames.join(', ');
     
     // Format as "collect {bins} tmr"
-    const signature = `Collect ${binsText} tmr`;
+    const { text: signature } = textSanitizerService.sanitize(`Collect ${binsText} tmr`);
 
     // Truncate to max length
     const truncated = signature.substring(0, MAX_LINE_LENGTH);
@@ -181,6 +457,28 @@ class DisplayFormatterService {
     return truncated;
   }
 
+  /**
+   * Render display data as fixed-width text, laid out like the device screen
+   * (title, three message lines, signature). Lines too long for the device
+   * stick out of the frame.
+   * @param {Object} displayData - Display data object (see formatDisplayFromDb)
+   * @returns {string} Multi-line text rendering
+   */
+  renderScreen(displayData) {
+    const row = text => `│${text.padEnd(MAX_LINE_LENGTH)}│`;
+    const rule = (left, right) => `${left}${'─'.repeat(MAX_LINE_LENGTH)}${right}`;
+
+    return [
+      rule('┌', '┐'),
+      row(displayData.title || ''),
+      rule('├', '┤'),
+      ...(displayData.message || '').split('\n').map(row),
+      rule('├', '┤'),
+      row(displayData.signature || ''),
+      rule('└', '┘')
+    ].join('\n');
+  }
+
   /**
    * Validate display data constraints
    * @param {Object} displayData - Display data object to validate
@@ -0,0 +1,81 @@
+/**
+ * Display State Service
+ * Remembers, per household, what was last pushed to its Quote/0 so that
+ * successive invocations can carry on from there (rotating pages, skipping
+ * pushes that would not change the screen)
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+const TABLE_NAME = process.env.DISPLAY_STATE_TABLE;
+
+// Create DynamoDB client
+const client = new DynamoDBClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const docClient = DynamoDBDocumentClient.from(client, {
+  marshallOptions: {
+    removeUndefinedValues: true,
+    convertEmptyValues: false
+  }
+});
+
+class DisplayStateService {
+  /**
+   * Get a household's display state
+   * @param {string} householdId - Household ID
+   * @returns {Promise<Object|null>} State ({ household_id, date, page, pages, slot, payload_hash, pushed_at, updated_at }), or null if none is stored
+   */
+  async getState(householdId) {
+    if (!TABLE_NAME) return null;
+
+    try {
+      const response = await docClient.send(new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { household_id: householdId }
+      }));
+
+      return response.Item || null;
+    } catch (error) {
+      console.error('[DisplayState] Error getting display state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update fields of a household's display state, leaving the others as they are
+   * @param {string} householdId - Household ID
+   * @param {Object} fields - Fields to set (e.g. { date, page, pages })
+   * @returns {Promise<Object|null>} Updated state, or null if no table is configured
+   */
+  async updateState(householdId, fields) {
+    if (!TABLE_NAME) {
+      console.log('[DisplayState] DISPLAY_STATE_TABLE not set, display state not saved');
+      return null;
+    }
+
+    const entries = Object.entries({ ...fields, updated_at: new Date().toISOString() })
+      .filter(([, value]) => value !== undefined);
+
+    try {
+      const response = await docClient.send(new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { household_id: householdId },
+        UpdateExpression: `set ${entries.map((_, i) => `#f${i} = :v${i}`).join(', ')}`,
+        ExpressionAttributeNames: Object.fromEntries(entries.map(([name], i) => [`#f${i}`, name])),
+        ExpressionAttributeValues: Object.fromEntries(entries.map(([, value], i) => [`:v${i}`, value])),
+        ReturnValues: 'ALL_NEW'
+      }));
+
+      console.log(`[DisplayState] Saved state for household ${householdId}:`, fields);
+      return response.Attributes;
+    } catch (error) {
+      console.error('[DisplayState] Error saving display state:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new DisplayStateService();
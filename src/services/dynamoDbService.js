@@ -1,15 +1,62 @@
 /**
  * DynamoDB Service
  * Handles all DynamoDB operations for events
+ *
+ * Events are partitioned per household: the partition key `pk` is
+ * "{household_id}#{date}" and `id` is the sort key. `date` and `household_id`
+ * are stored as plain attributes too.
+ *
+ * Events may be timed: start_time and end_time (HH:MM, household time) and
+ * remind_before (minutes before start_time to push a reminder). A completed
+ * event has completed_at; one with carry_over moves on to the next day while
+ * it is not completed. Events imported from iCalendar keep the VEVENT's UID
+ * in ical_uid, so importing the same calendar again updates them.
  */
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, QueryCommand, PutCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, QueryCommand, PutCommand, UpdateCommand, DeleteCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
 
 const { v4: uuidv4 } = require('uuid');
+const { sortEvents } = require('../utils/eventOrder');
+const { addDays } = require('../utils/dateUtils');
 
 const TABLE_NAME = process.env.EVENTS_TABLE;
 
+// Optional attributes of an event set when it is written
+const OPTIONAL_FIELDS = ['start_time', 'end_time', 'remind_before', 'carry_over', 'ical_uid'];
+
+// Optional attributes that an update can remove (with null)
+const REMOVABLE_FIELDS = [...OPTIONAL_FIELDS, 'completed_at'];
+
+// Dates a range page reads at most, so a long sparse range is not one
+// query per day in a single request
+const MAX_RANGE_PAGE_DAYS = 31;
+
+/**
+ * Partition key for a household's date
+ */
+function partitionKey(householdId, date) {
+  return `${householdId}#${date}`;
+}
+
+/**
+ * TTL of an event: auto-delete it 90 days after its date
+ */
+function expiresAt(date) {
+  const ttlDate = new Date(date);
+  ttlDate.setDate(ttlDate.getDate() + 90);
+  return Math.floor(ttlDate.getTime() / 1000); // Unix timestamp
+}
+
+/**
+ * Strip storage-only attributes from an item before returning it
+ */
+function toEvent(item) {
+  if (!item) return item;
+  const { pk, ...event } = item;
+  return event;
+}
+
 // Create DynamoDB client
 const client = new DynamoDBClient({
   region: process.env.AWS_REGION || 'us-east-1'
@@ -26,31 +73,58 @@ const docClient = DynamoDBDocumentClient.from(client, {
 class DynamoDbService {
   /**
    * Get all events for a specific date
+   * @param {string} householdId - Household ID
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<Array>} Array of event objects, in position order
+   */
+  async getEventsByDate(householdId, date) {
+    const items = [];
+    let exclusiveStartKey;
+
+    do {
+      const page = await this.queryEventsByDate(householdId, date, { exclusiveStartKey });
+      items.push(...page.items);
+      exclusiveStartKey = page.lastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    console.log(`[DynamoDB] Found ${items.length} events for date ${date}`);
+
+    return sortEvents(items);
+  }
+
+  /**
+   * Query a single page of events for a specific date
+   * @param {string} householdId - Household ID
    * @param {string} date - Date in YYYY-MM-DD format
-   * @returns {Promise<Array>} Array of event objects
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum number of items to return
+   * @param {Object} [options.exclusiveStartKey] - Key to resume from ({ date, id })
+   * @returns {Promise<{items: Array, lastEvaluatedKey: Object|null}>} Page of events
    */
-  async getEventsByDate(date) {
+  async queryEventsByDate(householdId, date, { limit, exclusiveStartKey } = {}) {
     try {
-      console.log(`[DynamoDB] Querying events for date: ${date}`);
+      console.log(`[DynamoDB] Querying events for household ${householdId}, date: ${date}`);
       console.log(`[DynamoDB] Table: ${TABLE_NAME}`);
 
       const command = new QueryCommand({
         TableName: TABLE_NAME,
-        KeyConditionExpression: '#date = :date',
-        ExpressionAttributeNames: {
-          '#date': 'date'
-        },
+        KeyConditionExpression: 'pk = :pk',
         ExpressionAttributeValues: {
-          ':date': date
-        }
+          ':pk': partitionKey(householdId, date)
+        },
+        Limit: limit,
+        ExclusiveStartKey: exclusiveStartKey
+          ? { pk: partitionKey(householdId, exclusiveStartKey.date), id: exclusiveStartKey.id }
+          : undefined
       });
 
       const response = await docClient.send(command);
-      const items = response.Items || [];
-      
-      console.log(`[DynamoDB] Found ${items.length} events for date ${date}`);
-      
-      return items;
+      const lastKey = response.LastEvaluatedKey;
+
+      return {
+        items: (response.Items || []).map(toEvent),
+        lastEvaluatedKey: lastKey ? { date, id: lastKey.id } : null
+      };
     } catch (error) {
       console.error('[DynamoDB] Error querying events:', error);
       console.error('[DynamoDB] Error details:', {
@@ -62,27 +136,127 @@ class DynamoDbService {
     }
   }
 
+  /**
+   * Get a page of events across an inclusive date range
+   * Walks the range one date partition at a time, reading each date in full
+   * so its events come back in position order (a date holds only a few), and
+   * the returned key can be passed back as exclusiveStartKey to continue
+   * after the last event of the previous page. If that event has since been
+   * deleted, its date is listed again from the start. A page stops after
+   * MAX_RANGE_PAGE_DAYS dates even when it is not full, with a key for the
+   * next date.
+   * @param {string} householdId - Household ID
+   * @param {string} fromDate - First date in YYYY-MM-DD format
+   * @param {string} toDate - Last date in YYYY-MM-DD format
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - Maximum number of items to return
+   * @param {Object} [options.exclusiveStartKey] - Key to resume from ({ date, id })
+   * @returns {Promise<{items: Array, lastEvaluatedKey: Object|null}>} Page of events
+   */
+  async getEventsByDateRange(householdId, fromDate, toDate, { limit = 50, exclusiveStartKey } = {}) {
+    console.log(`[DynamoDB] Querying events from ${fromDate} to ${toDate} (limit ${limit})`);
+
+    const items = [];
+    let date = exclusiveStartKey ? exclusiveStartKey.date : fromDate;
+    let afterId = exclusiveStartKey ? exclusiveStartKey.id : '';
+    let days = 0;
+
+    while (date <= toDate) {
+      if (days === MAX_RANGE_PAGE_DAYS) {
+        console.log(`[DynamoDB] Read ${days} dates, continuing from ${date} on the next page`);
+        return { items, lastEvaluatedKey: { date, id: '' } };
+      }
+      days++;
+
+      const events = await this.getEventsByDate(householdId, date);
+      const dayEvents = events.slice(events.findIndex(e => e.id === afterId) + 1);
+      const remaining = limit - items.length;
+
+      if (dayEvents.length > remaining) {
+        items.push(...dayEvents.slice(0, remaining));
+        const last = items[items.length - 1];
+        return {
+          items,
+          lastEvaluatedKey: { date: last.date, id: last.id }
+        };
+      }
+
+      items.push(...dayEvents);
+      afterId = '';
+      date = addDays(date, 1);
+
+      if (items.length === limit && date <= toDate) {
+        // Full page: carry on from the start of the next date
+        return { items, lastEvaluatedKey: { date, id: '' } };
+      }
+    }
+
+    console.log(`[DynamoDB] Found ${items.length} events between ${fromDate} and ${toDate}`);
+
+    return { items, lastEvaluatedKey: null };
+  }
+
+  /**
+   * Get every stored event of a household (full table scan, for exports)
+   * @param {string} householdId - Household ID
+   * @returns {Promise<Array>} Array of event objects ordered by date, then position
+   */
+  async getAllEvents(householdId) {
+    try {
+      console.log(`[DynamoDB] Scanning all events for household ${householdId} from table: ${TABLE_NAME}`);
+
+      const items = [];
+      let exclusiveStartKey;
+
+      do {
+        const response = await docClient.send(new ScanCommand({
+          TableName: TABLE_NAME,
+          FilterExpression: 'household_id = :h',
+          ExpressionAttributeValues: {
+            ':h': householdId
+          },
+          ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(response.Items || []).map(toEvent));
+        exclusiveStartKey = response.LastEvaluatedKey;
+      } while (exclusiveStartKey);
+
+      console.log(`[DynamoDB] Scanned ${items.length} events`);
+
+      return sortEvents(items).sort((a, b) => a.date.localeCompare(b.date));
+    } catch (error) {
+      console.error('[DynamoDB] Error scanning events:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create a new event
+   * @param {string} householdId - Household ID
    * @param {string} date - Date in YYYY-MM-DD format
    * @param {string} eventText - Event description
+   * @param {number} [position=0] - Display order within the date (lowest first)
+   * @param {Object} [options] - { start_time, end_time, remind_before, carry_over, ical_uid } (all optional)
    * @returns {Promise<Object>} Created event object
    */
-  async createEvent(date, eventText) {
+  async createEvent(householdId, date, eventText, position = 0, options = {}) {
     try {
       const id = uuidv4();
       const now = new Date().toISOString();
-      
-      // Calculate TTL: Auto-delete events 90 days after their date
-      const eventDate = new Date(date);
-      const ttlDate = new Date(eventDate);
-      ttlDate.setDate(ttlDate.getDate() + 90);
-      const ttl = Math.floor(ttlDate.getTime() / 1000); // Unix timestamp
+      const ttl = expiresAt(date);
 
       const item = {
-        date: date,           // Partition key (YYYY-MM-DD)
+        pk: partitionKey(householdId, date), // Partition key ({household_id}#{date})
         id: id,               // Sort key (UUID)
+        household_id: householdId,
+        date: date,           // Event date (YYYY-MM-DD)
         event: eventText,     // Event description
+        position: position,   // Display order within the date
+        start_time: options.start_time ?? undefined,       // Optional start time (HH:MM)
+        end_time: options.end_time ?? undefined,           // Optional end time (HH:MM)
+        remind_before: options.remind_before ?? undefined, // Optional reminder lead time (minutes)
+        carry_over: options.carry_over || undefined,       // Optional: move to the next day until completed
+        ical_uid: options.ical_uid ?? undefined,           // Optional: UID of the VEVENT it was imported from
         created_at: now,      // Creation timestamp
         ttl: ttl              // TTL for auto-deletion
       };
@@ -99,7 +273,7 @@ class DynamoDbService {
       
       console.log('[DynamoDB] Event created successfully');
       
-      return item;
+      return toEvent(item);
     } catch (error) {
       console.error('[DynamoDB] Error creating event:', error);
       console.error('[DynamoDB] Error details:', {
@@ -113,41 +287,152 @@ class DynamoDbService {
 
   /**
    * Update an existing event
-   * @param {string} date - Partition Key
+   * @param {string} householdId - Household ID
+   * @param {string} date - Event date in YYYY-MM-DD format
    * @param {string} id - Sort Key (UUID)
-   * @param {string} eventText - New description
+   * @param {Object} changes - Fields to change
+   * @param {string} [changes.event] - New description
+   * @param {number} [changes.position] - New display order within the date
+   * @param {string|null} [changes.start_time] - New start time (HH:MM), or null to remove it
+   * @param {string|null} [changes.end_time] - New end time (HH:MM), or null to remove it
+   * @param {number|null} [changes.remind_before] - New reminder lead time (minutes), or null to remove it
+   * @param {boolean|null} [changes.carry_over] - Carry over to the next day until completed, or null to remove it
+   * @param {string|null} [changes.completed_at] - Completion timestamp, or null to mark the event as not completed
+   * @returns {Promise<Object|null>} Updated event object, or null if the event does not exist
    */
-  async updateEvent(date, id, eventText) {
+  async updateEvent(householdId, date, id, changes) {
     try {
       const now = new Date().toISOString();
+      const setExpressions = ['updated_at = :u'];
+      const removeExpressions = [];
+      const values = { ':u': now };
+
+      for (const field of REMOVABLE_FIELDS) {
+        if (changes[field] === null) {
+          removeExpressions.push(field);
+        } else if (changes[field] !== undefined) {
+          setExpressions.push(`${field} = :${field}`);
+          values[`:${field}`] = changes[field];
+        }
+      }
+
+      if (changes.event !== undefined) {
+        setExpressions.push('event = :e');
+        values[':e'] = changes.event;
+      }
+
+      if (changes.position !== undefined) {
+        setExpressions.push('#position = :p');
+        values[':p'] = changes.position;
+      }
+
       const command = new UpdateCommand({
         TableName: TABLE_NAME,
-        Key: { date, id },
-        UpdateExpression: "set event = :e, updated_at = :u",
-        ExpressionAttributeValues: {
-          ":e": eventText,
-          ":u": now,
-        },
+        Key: { pk: partitionKey(householdId, date), id },
+        UpdateExpression: `set ${setExpressions.join(', ')}` +
+          (removeExpressions.length > 0 ? ` remove ${removeExpressions.join(', ')}` : ''),
+        ConditionExpression: "attribute_exists(id)",
+        ExpressionAttributeNames: changes.position !== undefined ? { '#position': 'position' } : undefined,
+        ExpressionAttributeValues: values,
         ReturnValues: "ALL_NEW",
       });
 
       const response = await docClient.send(command);
       console.log('[DynamoDB] Event updated successfully:', id);
-      return response.Attributes;
+      return toEvent(response.Attributes);
     } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        console.log(`[DynamoDB] Event not found for update: ${date}/${id}`);
+        return null;
+      }
       console.error('[DynamoDB] Error updating event:', error);
       throw error;
     }
   }
 
+  /**
+   * Delete an event
+   * @param {string} householdId - Household ID
+   * @param {string} date - Event date in YYYY-MM-DD format
+   * @param {string} id - Sort Key (UUID)
+   * @returns {Promise<Object|null>} Deleted event object, or null if the event did not exist
+   */
+  async deleteEvent(householdId, date, id) {
+    try {
+      const command = new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: { pk: partitionKey(householdId, date), id },
+        ReturnValues: 'ALL_OLD'
+      });
+
+      const response = await docClient.send(command);
+
+      if (!response.Attributes) {
+        console.log(`[DynamoDB] Event not found for delete: ${date}/${id}`);
+        return null;
+      }
+
+      console.log('[DynamoDB] Event deleted successfully:', id);
+      return toEvent(response.Attributes);
+    } catch (error) {
+      console.error('[DynamoDB] Error deleting event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move an event to another date, keeping its id
+   * The copy is only written if the new date does not hold it yet, and the
+   * original is deleted after it, so a move that was cut short can be run again.
+   * @param {string} householdId - Household ID
+   * @param {Object} event - Event to move, as read from the table
+   * @param {string} toDate - New date in YYYY-MM-DD format
+   * @param {number} position - Display order within the new date
+   * @returns {Promise<Object>} The event on its new date
+   */
+  async moveEvent(householdId, event, toDate, position) {
+    try {
+      let moved = {
+        ...event,
+        pk: partitionKey(householdId, toDate),
+        date: toDate,
+        position,
+        updated_at: new Date().toISOString(),
+        ttl: expiresAt(toDate)
+      };
+
+      try {
+        await docClient.send(new PutCommand({
+          TableName: TABLE_NAME,
+          Item: moved,
+          ConditionExpression: 'attribute_not_exists(id)'
+        }));
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') throw error;
+        console.log(`[DynamoDB] Event ${event.id} already on ${toDate}, finishing the move`);
+        moved = (await this.getEventsByDate(householdId, toDate)).find(e => e.id === event.id) || moved;
+      }
+
+      await this.deleteEvent(householdId, event.date, event.id);
+
+      console.log(`[DynamoDB] Event moved from ${event.date} to ${toDate}:`, event.id);
+      return toEvent(moved);
+    } catch (error) {
+      console.error('[DynamoDB] Error moving event:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create multiple events in batch
-   * @param {Array<{date: string, event: string}>} events - Array of events to create
+   * @param {string} householdId - Household ID
+   * @param {Array<{date: string, event: string}>} events - Array of events to create (with optional timing and carry_over fields)
+   * @param {string} [mode='replace'] - 'append' or 'replace' (see upsertEvent)
    * @returns {Promise<Array<Object>>} Array of created event objects
    */
-  async createEventsBatch(events) {
+  async createEventsBatch(householdId, events, mode = 'replace') {
     try {
-      console.log(`[DynamoDB] Creating ${events.length} events in batch`);
+      console.log(`[DynamoDB] Creating ${events.length} events in batch (mode: ${mode})`);
       console.log(`[DynamoDB] Table: ${TABLE_NAME}`);
 
       const createdEvents = [];
@@ -156,7 +441,8 @@ class DynamoDbService {
       // Process events sequentially to avoid throttling
       for (const eventData of events) {
         try {
-          const createdEvent = await this.upsertEvent(eventData.date, eventData.event);
+          const options = Object.fromEntries(OPTIONAL_FIELDS.map(field => [field, eventData[field]]));
+          const createdEvent = await this.upsertEvent(householdId, eventData.date, eventData.event, mode, options);
           createdEvents.push(createdEvent);
         } catch (error) {
           console.error(`[DynamoDB] Error creating event for ${eventData.date}:`, error.message);
@@ -184,23 +470,48 @@ class DynamoDbService {
   }
 
   /**
-   * Upsert an event: Updates if exists for that date, otherwise creates.
+   * Upsert an event for a date
+   * - 'replace': the date ends up holding only this event (the first existing
+   *   event is updated, any others are deleted)
+   * - 'append': the event is added after the date's existing events
+   * @param {string} householdId - Household ID
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} eventText - Event description
+   * @param {string} [mode='replace'] - 'append' or 'replace'
+   * @param {Object} [options] - { start_time, end_time, remind_before, carry_over } (all optional)
+   * @returns {Promise<Object>} Created or updated event object
    */
-  async upsertEvent(date, eventText) {
+  async upsertEvent(householdId, date, eventText, mode = 'replace', options = {}) {
     // 1. Check if it exists
-    const existing = await this.getEventsByDate(date);
-
-    if (existing && existing.length > 0) {
-      // 2. Update existing
-      console.log(`[Service] Updating existing event: ${existing[0].id}`);
-      return await this.updateEvent(date, existing[0].id, eventText);
-    } else {
-      // 3. Create new
-      console.log(`[Service] No existing event. Creating new.`);
-      return await this.createEvent(date, eventText);
+    const existing = await this.getEventsByDate(householdId, date);
+
+    if (mode === 'append') {
+      // 2a. Append after the last existing event
+      const position = existing.reduce((max, e) => Math.max(max, (e.position || 0) + 1), 0);
+      console.log(`[Service] Appending event at position ${position} (${existing.length} existing)`);
+      return await this.createEvent(householdId, date, eventText, position, options);
     }
+
+    if (existing.length > 0) {
+      // 2b. Replace: update the first event and drop the rest
+      const [first, ...rest] = existing;
+      console.log(`[Service] Replacing events on ${date}: updating ${first.id}, deleting ${rest.length}`);
+
+      for (const extra of rest) {
+        await this.deleteEvent(householdId, date, extra.id);
+      }
+
+      // The replaced event's timing, carry-over and completion go too
+      const replaced = Object.fromEntries(REMOVABLE_FIELDS.map(field => [field, options[field] || null]));
+      const updated = await this.updateEvent(householdId, date, first.id, { event: eventText, position: 0, ...replaced });
+      if (updated) return updated;
+    }
+
+    // 3. Create new
+    console.log(`[Service] No existing event. Creating new.`);
+    return await this.createEvent(householdId, date, eventText, 0, options);
   }
-  
+
   /**
    * Health check - verify DynamoDB connection
    * @returns {Promise<boolean>} True if connection is healthy
@@ -208,15 +519,12 @@ class DynamoDbService {
   async healthCheck() {
     try {
       // Try to query with a date far in the future (won't return results but tests connection)
-      const testDate = '9999-12-31';
+      const testKey = partitionKey('healthcheck', '9999-12-31');
       const command = new QueryCommand({
         TableName: TABLE_NAME,
-        KeyConditionExpression: '#date = :date',
-        ExpressionAttributeNames: {
-          '#date': 'date'
-        },
+        KeyConditionExpression: 'pk = :pk',
         ExpressionAttributeValues: {
-          ':date': testDate
+          ':pk': testKey
         },
         Limit: 1
       });
@@ -0,0 +1,248 @@
+/**
+ * Household Service
+ * Looks up per-household configuration (UPRN, bin provider, Quote/0 device
+ * and timezone) and maps API tokens to households.
+ *
+ * Without HOUSEHOLDS_TABLE the deployment serves a single "default"
+ * household built from the legacy environment variables.
+ */
+
+const crypto = require('crypto');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, QueryCommand, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+const dateUtils = require('../utils/dateUtils');
+
+const TABLE_NAME = process.env.HOUSEHOLDS_TABLE;
+const TOKEN_INDEX = 'api-token-index';
+const API_AUTH_TOKEN = process.env.API_AUTH_TOKEN;
+const DEFAULT_HOUSEHOLD_ID = 'default';
+
+// Create DynamoDB client
+const client = new DynamoDBClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const docClient = DynamoDBDocumentClient.from(client, {
+  marshallOptions: {
+    removeUndefinedValues: true,
+    convertEmptyValues: false
+  }
+});
+
+class HouseholdService {
+  /**
+   * Whether households come from the households table
+   * @returns {boolean} True if HOUSEHOLDS_TABLE is configured
+   */
+  isMultiHousehold() {
+    return Boolean(TABLE_NAME);
+  }
+
+  /**
+   * The household described by the legacy environment variables
+   * @returns {Object} Household
+   */
+  getDefaultHousehold() {
+    return {
+      id: DEFAULT_HOUSEHOLD_ID,
+      name: 'Default',
+      uprn: process.env.UPRN || '310022781',
+      bin_provider: process.env.BIN_PROVIDER || 'reading',
+      bin_schedule_file: process.env.BIN_SCHEDULE_FILE || undefined,
+      device_api: process.env.QUOTE0_TEXT_API,
+      device_token: process.env.QUOTE0_AUTH_TOKEN,
+      timezone: dateUtils.HOUSEHOLD_TIMEZONE
+    };
+  }
+
+  /**
+   * Whether the legacy environment variables configure a household
+   * @returns {boolean} True if API_AUTH_TOKEN or QUOTE0_TEXT_API is set
+   */
+  hasEnvHousehold() {
+    return Boolean(API_AUTH_TOKEN || process.env.QUOTE0_TEXT_API);
+  }
+
+  /**
+   * Get a household by ID
+   * The "default" household falls back to the environment variables when it
+   * has no row of its own.
+   * @param {string} id - Household ID
+   * @returns {Promise<Object|null>} Household, or null if it does not exist
+   */
+  async getHousehold(id) {
+    if (!TABLE_NAME) {
+      return id === DEFAULT_HOUSEHOLD_ID ? this.getDefaultHousehold() : null;
+    }
+
+    try {
+      const response = await docClient.send(new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { id }
+      }));
+
+      if (response.Item) return this.withDefaults(response.Item);
+      return id === DEFAULT_HOUSEHOLD_ID ? this.getDefaultHousehold() : null;
+    } catch (error) {
+      console.error('[Households] Error getting household:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every household
+   * The default household is included when the environment variables configure
+   * it or when no households are stored.
+   * @returns {Promise<Array>} Households
+   */
+  async getHouseholds() {
+    if (!TABLE_NAME) {
+      return [this.getDefaultHousehold()];
+    }
+
+    try {
+      const items = [];
+      let exclusiveStartKey;
+
+      do {
+        const response = await docClient.send(new ScanCommand({
+          TableName: TABLE_NAME,
+          ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(response.Items || []));
+        exclusiveStartKey = response.LastEvaluatedKey;
+      } while (exclusiveStartKey);
+
+      console.log(`[Households] Found ${items.length} households`);
+
+      const households = items.map(item => this.withDefaults(item));
+
+      // Keep serving the environment-configured household alongside stored ones
+      const hasDefault = households.some(h => h.id === DEFAULT_HOUSEHOLD_ID);
+      if (!hasDefault && (households.length === 0 || this.hasEnvHousehold())) {
+        console.log('[Households] Including the default household from environment variables');
+        households.unshift(this.getDefaultHousehold());
+      }
+
+      return households;
+    } catch (error) {
+      console.error('[Households] Error scanning households:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set fields on a household's row, creating the row if needed
+   * For the default household, fields not stored in the row keep coming from
+   * the environment variables.
+   * @param {string} id - Household ID
+   * @param {Object} fields - Fields to set (e.g. { templates })
+   * @returns {Promise<Object>} Updated household
+   */
+  async updateHousehold(id, fields) {
+    if (!TABLE_NAME) {
+      throw new Error('HOUSEHOLDS_TABLE is not configured, household settings cannot be saved');
+    }
+
+    const entries = Object.entries(fields);
+
+    try {
+      const response = await docClient.send(new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { id },
+        UpdateExpression: `set ${entries.map((_, i) => `#f${i} = :v${i}`).join(', ')}`,
+        ExpressionAttributeNames: Object.fromEntries(entries.map(([name], i) => [`#f${i}`, name])),
+        ExpressionAttributeValues: Object.fromEntries(entries.map(([, value], i) => [`:v${i}`, value])),
+        ReturnValues: 'ALL_NEW'
+      }));
+
+      console.log(`[Households] Updated household ${id}: ${Object.keys(fields).join(', ')}`);
+      return this.withDefaults(response.Attributes);
+    } catch (error) {
+      console.error('[Households] Error updating household:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the household a legacy API token belongs to
+   * API_AUTH_TOKEN belongs to the default household; other tokens are matched
+   * by their SHA-256 hash against the households table. Named, scoped keys
+   * are handled by apiKeyService.
+   * @param {string} token - Bearer token from the request
+   * @returns {Promise<Object|null>} Household, or null if the token is unknown
+   */
+  async getHouseholdByToken(token) {
+    if (API_AUTH_TOKEN && this.isLegacyToken(token)) {
+      return this.getHousehold(DEFAULT_HOUSEHOLD_ID);
+    }
+
+    if (!TABLE_NAME) return null;
+
+    try {
+      const response = await docClient.send(new QueryCommand({
+        TableName: TABLE_NAME,
+        IndexName: TOKEN_INDEX,
+        KeyConditionExpression: 'api_token_hash = :h',
+        ExpressionAttributeValues: {
+          ':h': this.hashToken(token)
+        },
+        Limit: 1
+      }));
+
+      const item = response.Items?.[0];
+      return item ? this.withDefaults(item) : null;
+    } catch (error) {
+      console.error('[Households] Error looking up API token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a token against API_AUTH_TOKEN in constant time
+   * @param {string} token - Bearer token from the request
+   * @returns {boolean} True if it matches
+   */
+  isLegacyToken(token) {
+    // Compare fixed-length digests so neither the contents nor the length leak through timing
+    const candidate = Buffer.from(this.hashToken(token), 'hex');
+    const expected = Buffer.from(this.hashToken(API_AUTH_TOKEN), 'hex');
+    return crypto.timingSafeEqual(candidate, expected);
+  }
+
+  /**
+   * Hash an API token for storage in api_token_hash
+   * @param {string} token - Plain API token
+   * @returns {string} Hex-encoded SHA-256 hash
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Fill in optional fields of a stored household
+   * A stored default household only overrides the environment variables it sets.
+   * @param {Object} item - Household row
+   * @returns {Object} Household
+   */
+  withDefaults(item) {
+    if (item.id === DEFAULT_HOUSEHOLD_ID) {
+      item = { ...this.getDefaultHousehold(), ...item };
+    }
+
+    let timezone = item.timezone || dateUtils.HOUSEHOLD_TIMEZONE;
+    if (!dateUtils.isValidTimeZone(timezone)) {
+      console.warn(`[Households] Invalid timezone '${timezone}' for household ${item.id}, using ${dateUtils.HOUSEHOLD_TIMEZONE}`);
+      timezone = dateUtils.HOUSEHOLD_TIMEZONE;
+    }
+
+    return {
+      ...item,
+      bin_provider: item.bin_provider || 'reading',
+      timezone
+    };
+  }
+}
+
+module.exports = new HouseholdService();
@@ -0,0 +1,450 @@
+/**
+ * iCalendar Service
+ * Parses iCalendar (.ics, RFC 5545) text into VEVENT objects and maps them
+ * onto events and recurring event definitions; serialises events, recurring
+ * definitions and bin collections back into an iCalendar feed
+ */
+
+const dateUtils = require('../utils/dateUtils');
+const { addDays } = dateUtils;
+
+const MAX_ALL_DAY_SPAN_DAYS = 31;
+const SUPPORTED_RRULE_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'UNTIL', 'COUNT', 'WKST'];
+const PRODID = '-//Quote0 API//Quote0 Calendar//EN';
+const UID_DOMAIN = 'quote0-api';
+const MAX_LINE_OCTETS = 75;
+
+class IcalService {
+  /**
+   * Parse iCalendar text into VEVENTs
+   * @param {string} text - iCalendar document
+   * @param {string} [timeZone] - Household's IANA timezone (for UTC and TZID times)
+   * @returns {Array<Object>} VEVENTs as { uid, summary, start, end, rrule, exdates, status, recurrenceId }
+   */
+  parseCalendar(text, timeZone = dateUtils.HOUSEHOLD_TIMEZONE) {
+    const vevents = [];
+    let current = null;
+    let depth = 0; // Nesting inside the VEVENT (e.g. VALARM)
+
+    for (const line of this.unfoldLines(text)) {
+      const property = this.parseProperty(line);
+      if (!property) continue;
+
+      const { name, params, value } = property;
+
+      if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+        current = { exdates: [] };
+        depth = 0;
+        continue;
+      }
+
+      if (!current) continue;
+
+      if (name === 'BEGIN') {
+        depth++;
+        continue;
+      }
+
+      if (name === 'END') {
+        if (depth > 0) {
+          depth--;
+        } else if (value.toUpperCase() === 'VEVENT') {
+          vevents.push(current);
+          current = null;
+        }
+        continue;
+      }
+
+      if (depth > 0) continue; // Ignore properties of nested components
+
+      switch (name) {
+        case 'UID':
+          current.uid = value;
+          break;
+        case 'SUMMARY':
+          current.summary = this.unescapeText(value);
+          break;
+        case 'STATUS':
+          current.status = value.toUpperCase();
+          break;
+        case 'DTSTART':
+          current.start = this.parseDateValue(value, params, timeZone);
+          break;
+        case 'DTEND':
+          current.end = this.parseDateValue(value, params, timeZone);
+          break;
+        case 'RRULE':
+          current.rrule = this.parseRrule(value);
+          break;
+        case 'EXDATE':
+          for (const part of value.split(',')) {
+            const exdate = this.parseDateValue(part, params, timeZone);
+            if (exdate) current.exdates.push(exdate.date);
+          }
+          break;
+        case 'RECURRENCE-ID':
+          current.recurrenceId = value;
+          break;
+        default:
+          break;
+      }
+    }
+
+    console.log(`[Ical] Parsed ${vevents.length} VEVENTs`);
+
+    return vevents;
+  }
+
+  /**
+   * Unfold content lines (continuation lines start with a space or tab)
+   * @param {string} text - iCalendar document
+   * @returns {Array<string>} Unfolded lines
+   */
+  unfoldLines(text) {
+    const lines = [];
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+      if ((rawLine.startsWith(' ') || rawLine.startsWith('\t')) && lines.length > 0) {
+        lines[lines.length - 1] += rawLine.slice(1);
+      } else if (rawLine.length > 0) {
+        lines.push(rawLine);
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Split a content line into name, parameters and value
+   * @param {string} line - Unfolded content line, e.g. DTSTART;TZID=Europe/London:20260210T140000
+   * @returns {Object|null} { name, params, value }, or null if the line is malformed
+   */
+  parseProperty(line) {
+    // The value starts at the first colon that is not inside a quoted parameter
+    let inQuotes = false;
+    let colonIndex = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      if (line[i] === ':' && !inQuotes) {
+        colonIndex = i;
+        break;
+      }
+    }
+    if (colonIndex === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+    const params = {};
+    for (const part of paramParts) {
+      const [key, ...rest] = part.split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    }
+
+    return {
+      name: name.toUpperCase(),
+      params,
+      value: line.slice(colonIndex + 1)
+    };
+  }
+
+  /**
+   * Parse a DATE or DATE-TIME value
+   * Times in UTC (trailing Z) or with a TZID are converted to the household
+   * timezone, so an event at 23:30 New York time lands on the right day here.
+   * Floating times (no Z, no TZID) are taken as written.
+   * @param {string} value - e.g. 20260210 or 20260210T140000Z
+   * @param {Object} params - Property parameters
+   * @param {string} [timeZone] - Household's IANA timezone
+   * @returns {Object|null} { date: 'YYYY-MM-DD', time: 'HH:MM' | null, allDay }
+   */
+  parseDateValue(value, params = {}, timeZone = dateUtils.HOUSEHOLD_TIMEZONE) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second, utc] = match;
+    const date = `${year}-${month}-${day}`;
+
+    if (params.VALUE === 'DATE' || hour === undefined) {
+      return { date, time: null, allDay: true };
+    }
+
+    const time = `${hour}:${minute}:${second}`;
+    let instant = null;
+    if (utc) {
+      instant = new Date(`${date}T${time}Z`);
+    } else if (params.TZID && dateUtils.isValidTimeZone(params.TZID)) {
+      instant = dateUtils.zonedTimeToInstant(date, time, params.TZID);
+    }
+
+    if (!instant) {
+      return { date, time: `${hour}:${minute}`, allDay: false };
+    }
+
+    const local = dateUtils.getZonedParts(instant, timeZone);
+    return {
+      date: `${local.year}-${local.month}-${local.day}`,
+      time: `${local.hour}:${local.minute}`,
+      allDay: false
+    };
+  }
+
+  /**
+   * Parse an RRULE value into its parts
+   * @param {string} value - e.g. FREQ=WEEKLY;BYDAY=MO,TH;UNTIL=20260720
+   * @returns {Object} Map of upper-case part name to value
+   */
+  parseRrule(value) {
+    const parts = {};
+    for (const part of value.split(';')) {
+      const [key, partValue] = part.split('=');
+      if (key) parts[key.toUpperCase()] = partValue;
+    }
+    return parts;
+  }
+
+  /**
+   * Unescape a TEXT value (\n, \, \; and \\)
+   */
+  unescapeText(value) {
+    return value.replace(/\\([nN,;\\])/g, (match, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+  }
+
+  /**
+   * Dates covered by a non-recurring VEVENT
+   * All-day events produce one date per day up to (not including) DTEND;
+   * timed events produce their start date.
+   * @param {Object} vevent - Parsed VEVENT
+   * @returns {Array<string>} Dates in YYYY-MM-DD format
+   */
+  getEventDates(vevent) {
+    const start = vevent.start.date;
+
+    if (!vevent.start.allDay || !vevent.end || vevent.end.date <= start) {
+      return [start];
+    }
+
+    const dates = [];
+    for (let date = start; date < vevent.end.date && dates.length < MAX_ALL_DAY_SPAN_DAYS; date = addDays(date, 1)) {
+      dates.push(date);
+    }
+    return dates;
+  }
+
+  /**
+   * Convert a VEVENT with an RRULE into a recurring event definition
+   * @param {Object} vevent - Parsed VEVENT with rrule
+   * @returns {Object} { rule } on success, or { error } if the RRULE cannot be represented
+   */
+  toRecurringRule(vevent) {
+    const rrule = vevent.rrule;
+
+    const unsupported = Object.keys(rrule).filter(key => !SUPPORTED_RRULE_PARTS.includes(key));
+    if (unsupported.length > 0) {
+      return { error: `Unsupported RRULE part(s): ${unsupported.join(', ')}` };
+    }
+
+    const freq = (rrule.FREQ || '').toUpperCase();
+    if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(freq)) {
+      return { error: `Unsupported RRULE FREQ=${rrule.FREQ}. Use DAILY, WEEKLY or MONTHLY` };
+    }
+
+    const rule = {
+      event: vevent.summary,
+      freq,
+      start_date: vevent.start.date,
+      exdates: vevent.exdates.length > 0 ? vevent.exdates : undefined
+    };
+
+    if (rrule.INTERVAL) rule.interval = parseInt(rrule.INTERVAL, 10);
+    if (rrule.COUNT) rule.count = parseInt(rrule.COUNT, 10);
+
+    if (rrule.UNTIL) {
+      const until = this.parseDateValue(rrule.UNTIL);
+      if (!until) return { error: `Invalid RRULE UNTIL=${rrule.UNTIL}` };
+      rule.until = until.date;
+    }
+
+    if (rrule.BYDAY) {
+      const weekdays = rrule.BYDAY.split(',');
+      if (freq !== 'WEEKLY' || weekdays.some(day => !/^[A-Z]{2}$/i.test(day))) {
+        return { error: `Unsupported RRULE BYDAY=${rrule.BYDAY} for FREQ=${freq}` };
+      }
+      rule.weekdays = weekdays.map(day => day.toUpperCase());
+    }
+
+    if (rrule.BYMONTHDAY) {
+      if (freq !== 'MONTHLY') {
+        return { error: `Unsupported RRULE BYMONTHDAY for FREQ=${freq}` };
+      }
+      rule.month_days = rrule.BYMONTHDAY.split(',').map(day => parseInt(day, 10));
+    }
+
+    return { rule };
+  }
+
+  /**
+   * Serialise events, recurring definitions and bin collections as a calendar
+   * Events with a start_time are timed VEVENTs, their household times written
+   * in UTC so that no VTIMEZONE is needed; all other entries are all-day VEVENTs.
+   * @param {Object} data
+   * @param {Array} data.events - Event objects from DynamoDB
+   * @param {Array} data.recurringEvents - Recurring event definitions
+   * @param {Array} data.binCollections - Bin collection objects from DynamoDB
+   * @param {Function} data.binName - Maps a stored service name to its friendly name
+   * @param {string} [data.calendarName] - X-WR-CALNAME shown by calendar apps
+   * @param {string} [data.timeZone] - Household's IANA timezone, which event times are in
+   * @returns {string} iCalendar document (CRLF line endings)
+   */
+  serializeCalendar({ events = [], recurringEvents = [], binCollections = [], binName, calendarName = 'Quote/0',
+    timeZone = dateUtils.HOUSEHOLD_TIMEZONE }) {
+    const dtstamp = this.formatDateTime(new Date().toISOString());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(calendarName)}`
+    ];
+
+    for (const evt of events) {
+      const vevent = {
+        uid: `event-${evt.id}@${UID_DOMAIN}`,
+        date: evt.date,
+        summary: evt.event,
+        dtstamp: evt.updated_at || evt.created_at ? this.formatDateTime(evt.updated_at || evt.created_at) : dtstamp
+      };
+      lines.push(...(evt.start_time
+        ? this.timedEvent({ ...vevent, startTime: evt.start_time, endTime: evt.end_time, timeZone })
+        : this.allDayEvent(vevent)));
+    }
+
+    for (const rule of recurringEvents) {
+      const extra = [`RRULE:${this.formatRrule(rule)}`];
+      if (rule.exdates && rule.exdates.length > 0) {
+        extra.push(`EXDATE;VALUE=DATE:${rule.exdates.map(d => this.formatDate(d)).join(',')}`);
+      }
+      lines.push(...this.allDayEvent({
+        uid: `recurring-${rule.id}@${UID_DOMAIN}`,
+        date: rule.start_date,
+        summary: rule.event,
+        dtstamp: rule.created_at ? this.formatDateTime(rule.created_at) : dtstamp,
+        extra
+      }));
+    }
+
+    for (const collection of binCollections) {
+      const name = binName(collection.service);
+      lines.push(...this.allDayEvent({
+        uid: `bin-${collection.date}-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}@${UID_DOMAIN}`,
+        date: collection.date,
+        summary: name,
+        dtstamp: collection.updated_at ? this.formatDateTime(collection.updated_at) : dtstamp,
+        extra: ['CATEGORIES:Bin collection', 'TRANSP:TRANSPARENT']
+      }));
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Build the content lines of an all-day VEVENT
+   */
+  allDayEvent({ uid, date, summary, dtstamp, extra = [] }) {
+    return [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART;VALUE=DATE:${this.formatDate(date)}`,
+      `DTEND;VALUE=DATE:${this.formatDate(addDays(date, 1))}`,
+      `SUMMARY:${this.escapeText(summary)}`,
+      ...extra,
+      'END:VEVENT'
+    ];
+  }
+
+  /**
+   * Build the content lines of a VEVENT at a household time (no DTEND without an end time)
+   */
+  timedEvent({ uid, date, summary, dtstamp, startTime, endTime, timeZone, extra = [] }) {
+    return [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART:${this.formatZonedDateTime(date, startTime, timeZone)}`,
+      ...(endTime ? [`DTEND:${this.formatZonedDateTime(date, endTime, timeZone)}`] : []),
+      `SUMMARY:${this.escapeText(summary)}`,
+      ...extra,
+      'END:VEVENT'
+    ];
+  }
+
+  /**
+   * Build an RRULE value from a recurring event definition
+   */
+  formatRrule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.weekdays && rule.weekdays.length > 0) parts.push(`BYDAY=${rule.weekdays.join(',')}`);
+    if (rule.month_days && rule.month_days.length > 0) parts.push(`BYMONTHDAY=${rule.month_days.join(',')}`);
+    if (rule.until) parts.push(`UNTIL=${this.formatDate(rule.until)}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    return parts.join(';');
+  }
+
+  /**
+   * YYYY-MM-DD → YYYYMMDD
+   */
+  formatDate(date) {
+    return date.replace(/-/g, '');
+  }
+
+  /**
+   * YYYY-MM-DD and HH:MM in a timezone → YYYYMMDDTHHMMSSZ
+   */
+  formatZonedDateTime(date, time, timeZone) {
+    return this.formatDateTime(dateUtils.zonedTimeToInstant(date, time, timeZone).toISOString());
+  }
+
+  /**
+   * ISO 8601 timestamp → YYYYMMDDTHHMMSSZ
+   */
+  formatDateTime(isoString) {
+    return new Date(isoString).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Escape a TEXT value (inverse of unescapeText)
+   */
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to at most 75 octets per physical line
+   */
+  foldLine(line) {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+    const parts = [];
+    let current = '';
+    for (const ch of line) {
+      const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1; // Continuations start with a space
+      if (Buffer.byteLength(current + ch) > limit) {
+        parts.push(current);
+        current = '';
+      }
+      current += ch;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = new IcalService();
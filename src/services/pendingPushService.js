@@ -0,0 +1,131 @@
+/**
+ * Pending Push Service
+ * Keeps the latest payload that could not be pushed to a household's Quote/0
+ * so the retry sweeper can send it once the device is reachable again.
+ *
+ * There is at most one pending push per household: a newer failed payload
+ * replaces it, and any later push that reaches the device (or finds it
+ * already showing the latest payload) removes it.
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, UpdateCommand, DeleteCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+
+const TABLE_NAME = process.env.PENDING_PUSHES_TABLE;
+
+// Create DynamoDB client
+const client = new DynamoDBClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const docClient = DynamoDBDocumentClient.from(client, {
+  marshallOptions: {
+    removeUndefinedValues: true,
+    convertEmptyValues: false
+  }
+});
+
+class PendingPushService {
+  /**
+   * Queue a payload that failed to push, replacing any older pending payload
+   * (failures are logged, not thrown)
+   * @param {string} householdId - Household ID
+   * @param {Object} pending - { payload, trigger, error, push_id }
+   * @returns {Promise<Object|null>} Pending push, or null if it was not stored
+   */
+  async savePending(householdId, { payload, trigger, error, push_id: pushId }) {
+    if (!TABLE_NAME) {
+      console.warn('[PendingPushes] PENDING_PUSHES_TABLE not set, failed push will not be retried');
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    // A failed retry keeps the trigger of the push it is retrying
+    const triggerValue = trigger === 'retry' ? 'if_not_exists(#trigger, :trigger)' : ':trigger';
+
+    try {
+      const response = await docClient.send(new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { household_id: householdId },
+        UpdateExpression: `set payload = :payload, #trigger = ${triggerValue}, last_error = :error, last_push_id = :pushId, ` +
+          'last_failed_at = :now, first_failed_at = if_not_exists(first_failed_at, :now), ' +
+          'failures = if_not_exists(failures, :zero) + :one',
+        ExpressionAttributeNames: {
+          '#trigger': 'trigger'
+        },
+        ExpressionAttributeValues: {
+          ':payload': payload,
+          ':trigger': trigger,
+          ':error': error ?? null,
+          ':pushId': pushId ?? null,
+          ':now': now,
+          ':zero': 0,
+          ':one': 1
+        },
+        ReturnValues: 'ALL_NEW'
+      }));
+
+      console.log(`[PendingPushes] Queued push for retry for household ${householdId} (${response.Attributes.failures} failure(s) since ${response.Attributes.first_failed_at})`);
+      return response.Attributes;
+    } catch (saveError) {
+      console.error('[PendingPushes] Error queueing push for retry:', saveError.message);
+      return null;
+    }
+  }
+
+  /**
+   * Remove a household's pending push, if any (failures are logged, not thrown)
+   * @param {string} householdId - Household ID
+   * @returns {Promise<boolean>} True if a pending push was removed
+   */
+  async clearPending(householdId) {
+    if (!TABLE_NAME) return false;
+
+    try {
+      const response = await docClient.send(new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: { household_id: householdId },
+        ReturnValues: 'ALL_OLD'
+      }));
+
+      if (response.Attributes) {
+        console.log(`[PendingPushes] Cleared pending push for household ${householdId}`);
+        return true;
+      }
+      return false;
+    } catch (error) {
+      console.error('[PendingPushes] Error clearing pending push:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get every pending push
+   * @returns {Promise<Array>} Pending pushes ({ household_id, payload, trigger, failures, first_failed_at, last_failed_at, last_error })
+   */
+  async listPending() {
+    if (!TABLE_NAME) return [];
+
+    try {
+      const items = [];
+      let exclusiveStartKey;
+
+      do {
+        const response = await docClient.send(new ScanCommand({
+          TableName: TABLE_NAME,
+          ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(response.Items || []));
+        exclusiveStartKey = response.LastEvaluatedKey;
+      } while (exclusiveStartKey);
+
+      console.log(`[PendingPushes] Found ${items.length} pending push(es)`);
+      return items;
+    } catch (error) {
+      console.error('[PendingPushes] Error listing pending pushes:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PendingPushService();
@@ -0,0 +1,124 @@
+/**
+ * Push History Service
+ * Records every attempt to update a household's Quote/0 (what was sent, why,
+ * and how the device answered) so a wrong screen can be traced without
+ * digging through CloudWatch logs. Records expire after RETENTION_DAYS.
+ */
+
+const crypto = require('crypto');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+
+const TABLE_NAME = process.env.PUSH_HISTORY_TABLE;
+const RETENTION_DAYS = 30;
+
+const STATUSES = ['pushed', 'unchanged', 'failed', 'not_configured'];
+const TRIGGERS = ['scheduled', 'manual', 'rotation', 'createEvent', 'batch', 'import', 'updateEvent', 'deleteEvent', 'recurringEvent', 'retry', 'reminder', 'ackBins', 'completeEvent'];
+
+// Create DynamoDB client
+const client = new DynamoDBClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const docClient = DynamoDBDocumentClient.from(client, {
+  marshallOptions: {
+    removeUndefinedValues: true,
+    convertEmptyValues: false
+  }
+});
+
+class PushHistoryService {
+  constructor() {
+    this.statuses = STATUSES;
+    this.triggers = TRIGGERS;
+  }
+
+  /**
+   * Record a push attempt (failures are logged, not thrown)
+   * @param {string} householdId - Household ID
+   * @param {Object} entry - { status, trigger, forced, payload, attempts, http_status, latency_ms, error }
+   * @returns {Promise<Object|null>} Stored record, or null if it was not stored
+   */
+  async recordPush(householdId, entry) {
+    if (!TABLE_NAME) return null;
+
+    const now = new Date();
+    const item = {
+      household_id: householdId,                                       // Partition key
+      push_id: `${now.toISOString()}#${crypto.randomBytes(4).toString('hex')}`, // Sort key (newest last)
+      created_at: now.toISOString(),
+      ...entry,
+      ttl: Math.floor(now.getTime() / 1000) + RETENTION_DAYS * 24 * 60 * 60
+    };
+
+    try {
+      await docClient.send(new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item
+      }));
+
+      console.log(`[PushHistory] Recorded push ${item.push_id} for household ${householdId}: ${entry.status} (${entry.trigger})`);
+      return item;
+    } catch (error) {
+      console.error('[PushHistory] Error recording push:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List a household's push records, newest first
+   * @param {string} householdId - Household ID
+   * @param {Object} [options] - { from, to (YYYY-MM-DD, UTC), status, trigger, limit, exclusiveStartKey }
+   * @returns {Promise<Object>} { items, lastEvaluatedKey } - lastEvaluatedKey is null on the last page
+   */
+  async listPushes(householdId, { from, to, status, trigger, limit = 20, exclusiveStartKey } = {}) {
+    if (!TABLE_NAME) {
+      console.log('[PushHistory] PUSH_HISTORY_TABLE not set, no push history');
+      return { items: [], lastEvaluatedKey: null };
+    }
+
+    // push_id starts with the ISO timestamp, so a date range is a sort key range
+    const lower = from || '0000';
+    const upper = `${to || '9999'}\uffff`;
+
+    const filters = [];
+    const names = {};
+    const values = { ':h': householdId, ':lower': lower, ':upper': upper };
+    for (const [field, value] of Object.entries({ status, trigger })) {
+      if (!value) continue;
+      filters.push(`#${field} = :${field}`);
+      names[`#${field}`] = field;
+      values[`:${field}`] = value;
+    }
+
+    try {
+      const items = [];
+      let startKey = exclusiveStartKey;
+
+      // With filters a page can come back short, so keep reading until the limit is reached
+      do {
+        const response = await docClient.send(new QueryCommand({
+          TableName: TABLE_NAME,
+          KeyConditionExpression: 'household_id = :h AND push_id BETWEEN :lower AND :upper',
+          FilterExpression: filters.length > 0 ? filters.join(' AND ') : undefined,
+          ExpressionAttributeNames: filters.length > 0 ? names : undefined,
+          ExpressionAttributeValues: values,
+          ScanIndexForward: false,
+          Limit: limit - items.length,
+          ExclusiveStartKey: startKey
+        }));
+        items.push(...(response.Items || []));
+        startKey = response.LastEvaluatedKey;
+      } while (startKey && items.length < limit);
+
+      console.log(`[PushHistory] Found ${items.length} pushes for household ${householdId}`);
+
+      return { items, lastEvaluatedKey: startKey || null };
+    } catch (error) {
+      console.error('[PushHistory] Error listing pushes:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PushHistoryService();
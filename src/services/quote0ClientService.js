@@ -1,51 +1,232 @@
 /**
  * Quote/0 Client Service
- * Sends formatted display data to Quote/0 device text API
+ * Sends formatted display data to a household's Quote/0 device text API
+ * (device_api / device_token; QUOTE0_TEXT_API / QUOTE0_AUTH_TOKEN for the default household)
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
+const householdService = require('./householdService');
+const displayStateService = require('./displayStateService');
+const pushHistoryService = require('./pushHistoryService');
+const pendingPushService = require('./pendingPushService');
 
-const QUOTE0_TEXT_API = process.env.QUOTE0_TEXT_API;
-const QUOTE0_AUTH_TOKEN = process.env.QUOTE0_AUTH_TOKEN; // Bearer token for authorization
-const MAX_RETRIES = 3;
-const INITIAL_RETRY_DELAY = 1000; // 1 second
+// Retry behaviour for one push
+const MAX_ATTEMPTS = parseInt(process.env.QUOTE0_MAX_ATTEMPTS) || 3;
+const INITIAL_RETRY_DELAY = parseInt(process.env.QUOTE0_RETRY_DELAY_MS) || 1000; // Doubled after each attempt
+const REQUEST_TIMEOUT = parseInt(process.env.QUOTE0_TIMEOUT_MS) || 10000; // Per request
+const RETRY_BUDGET = parseInt(process.env.QUOTE0_RETRY_BUDGET_MS) || 20000; // All attempts of one push, including waits
+
+// Circuit breaker: after this many consecutive failed requests to a device,
+// stop sending to it until the cooldown has passed
+const CIRCUIT_THRESHOLD = parseInt(process.env.QUOTE0_CIRCUIT_THRESHOLD) || 5;
+const CIRCUIT_COOLDOWN = parseInt(process.env.QUOTE0_CIRCUIT_COOLDOWN_MS) || 60000;
+
+// Failure categories worth retrying; anything else fails fast
+const RETRYABLE_CATEGORIES = ['rate_limited', 'server_error', 'timeout', 'network'];
+// Failed pushes queued for the retry sweeper: those retried, plus pushes held
+// back by an open circuit. The rest (bad payload, token or endpoint) would fail again
+const QUEUED_CATEGORIES = [...RETRYABLE_CATEGORIES, 'circuit_open'];
+// Failure categories that mean the device is down (rate limiting means it is up)
+const CIRCUIT_CATEGORIES = ['server_error', 'timeout', 'network'];
+
+// Circuit state per device endpoint, kept for the life of the Lambda container
+const circuits = new Map();
 
 class Quote0ClientService {
   /**
-   * Send display data to Quote/0 device
+   * Send display data to a household's Quote/0 device
+   * The push is skipped when the payload is identical to the last one
+   * successfully pushed to the same device, unless forced. Every call is
+   * recorded in the push history, and a payload that cannot be pushed is
+   * queued for the retry sweeper.
    * @param {Object} displayData - Formatted display data
-   * @param {number} attempt - Current attempt number (for retries)
-   * @returns {Promise<void>}
+   * @param {Object} [household] - Household (defaults to the environment-configured household)
+   * @param {Object} [options] - { force: push even if the payload is unchanged, trigger: what caused the push (see pushHistoryService) }
+   * @returns {Promise<Object>} { status, push_id, category } - status is 'pushed', 'unchanged', 'failed' or 'not_configured';
+   *   push_id identifies the history record (undefined if it was not stored); category says why a push failed (see classifyError)
    */
-  async updateDisplay(displayData, attempt = 1) {
-    if (!QUOTE0_TEXT_API) {
-      console.warn('[Quote0Client] QUOTE0_TEXT_API not configured, skipping device update');
-      console.warn('[Quote0Client] Set QUOTE0_TEXT_API environment variable to enable');
-      return;
+  async updateDisplay(displayData, household = householdService.getDefaultHousehold(), { force = false, trigger = 'manual' } = {}) {
+    const { device_api: deviceApi, device_token: deviceToken } = household;
+    const entry = { trigger, forced: force, payload: displayData };
+
+    if (!deviceApi) {
+      console.warn(`[Quote0Client] No device endpoint configured for household ${household.id}, skipping device update`);
+      console.warn('[Quote0Client] Set device_api on the household (QUOTE0_TEXT_API for the default household) to enable');
+      return this.recordOutcome(household, { ...entry, status: 'not_configured' });
     }
 
-    if (!QUOTE0_AUTH_TOKEN) {
-      console.warn('[Quote0Client] QUOTE0_AUTH_TOKEN not configured, skipping device update');
-      console.warn('[Quote0Client] Set QUOTE0_AUTH_TOKEN environment variable to enable');
-      return;
+    if (!deviceToken) {
+      console.warn(`[Quote0Client] No device token configured for household ${household.id}, skipping device update`);
+      console.warn('[Quote0Client] Set device_token on the household (QUOTE0_AUTH_TOKEN for the default household) to enable');
+      return this.recordOutcome(household, { ...entry, status: 'not_configured' });
+    }
+
+    const payloadHash = this.hashPayload(displayData, deviceApi);
+
+    if (!force && await this.isLastPushed(household.id, payloadHash)) {
+      console.log(`[Quote0Client] Display unchanged for household ${household.id}, skipping push`);
+      return this.recordOutcome(household, { ...entry, status: 'unchanged' });
+    }
+
+    const { success, ...result } = await this.sendDisplay(displayData, household);
+    if (!success) {
+      return this.recordOutcome(household, { ...entry, status: 'failed', ...result });
     }
 
     try {
-      console.log(`[Quote0Client] Sending update to device (attempt ${attempt}/${MAX_RETRIES})`);
-      console.log('[Quote0Client] Endpoint:', QUOTE0_TEXT_API);
+      await displayStateService.updateState(household.id, { payload_hash: payloadHash, pushed_at: new Date().toISOString() });
+    } catch (error) {
+      // The push happened; the next one just won't be skipped
+      console.error('[Quote0Client] Could not record pushed payload:', error.message);
+    }
+
+    return this.recordOutcome(household, { ...entry, status: 'pushed', ...result });
+  }
+
+  /**
+   * Record a push outcome in the push history and the retry queue
+   * @param {Object} household - Household the push was for
+   * @param {Object} entry - History entry (see pushHistoryService.recordPush)
+   * @returns {Promise<Object>} { status, push_id, category }
+   */
+  async recordOutcome(household, entry) {
+    const record = await pushHistoryService.recordPush(household.id, entry);
+
+    // A failed payload waits for the retry sweeper if retrying it can succeed;
+    // any other outcome supersedes an older pending payload
+    if (entry.status === 'failed' && QUEUED_CATEGORIES.includes(entry.category)) {
+      await pendingPushService.savePending(household.id, {
+        payload: entry.payload,
+        trigger: entry.trigger,
+        error: entry.error,
+        push_id: record?.push_id
+      });
+    } else {
+      await pendingPushService.clearPending(household.id);
+    }
+
+    return { status: entry.status, push_id: record?.push_id, category: entry.category };
+  }
+
+  /**
+   * Whether a payload hash matches the last payload pushed for a household
+   * @param {string} householdId - Household ID
+   * @param {string} payloadHash - Hash from hashPayload()
+   * @returns {Promise<boolean>} True if identical (false if the state cannot be read)
+   */
+  async isLastPushed(householdId, payloadHash) {
+    try {
+      const state = await displayStateService.getState(householdId);
+      return state?.payload_hash === payloadHash;
+    } catch (error) {
+      console.error('[Quote0Client] Could not read last pushed payload, pushing anyway:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Hash a payload together with the device it is sent to
+   * @param {Object} displayData - Formatted display data
+   * @param {string} deviceApi - Device endpoint
+   * @returns {string} Hex-encoded SHA-256 hash
+   */
+  hashPayload(displayData, deviceApi) {
+    return crypto.createHash('sha256')
+      .update(deviceApi)
+      .update('\n')
+      .update(JSON.stringify(displayData))
+      .digest('hex');
+  }
+
+  /**
+   * POST display data to the device, retrying failures that may go away
+   * Rate limiting (429) and server, timeout and network errors are retried
+   * with exponential backoff, waiting at least as long as Retry-After asks,
+   * within the time budget. Other failures (bad request, bad token) are not.
+   * @param {Object} displayData - Formatted display data
+   * @param {Object} household - Household with device_api and device_token
+   * @returns {Promise<Object>} { success, attempts, http_status, latency_ms, error, category } for the last attempt
+   */
+  async sendDisplay(displayData, household) {
+    const deviceApi = household.device_api;
+    const deadline = Date.now() + RETRY_BUDGET;
+    let result;
+    let attempt = 0;
+
+    if (this.isCircuitOpen(deviceApi)) {
+      const error = 'Circuit open after repeated failures, not sending to the device';
+      console.warn(`[Quote0Client] ${error} (${deviceApi})`);
+      return { success: false, attempts: 0, error, category: 'circuit_open' };
+    }
+
+    while (attempt < MAX_ATTEMPTS) {
+      attempt++;
+      result = await this.attemptSend(displayData, household, attempt, Math.min(REQUEST_TIMEOUT, deadline - Date.now()));
+      this.recordCircuitResult(deviceApi, result);
+
+      if (result.success) break;
+
+      if (!RETRYABLE_CATEGORIES.includes(result.category)) {
+        console.error(`[Quote0Client] Not retrying: ${result.category} will not succeed on retry`);
+        break;
+      }
+
+      if (attempt >= MAX_ATTEMPTS) {
+        console.error('[Quote0Client] ❌ Failed to update Quote/0 after all retry attempts');
+        break;
+      }
+
+      if (this.isCircuitOpen(deviceApi)) {
+        console.error('[Quote0Client] ❌ Circuit opened, not retrying');
+        break;
+      }
+
+      const backoff = INITIAL_RETRY_DELAY * Math.pow(2, attempt - 1); // Exponential backoff
+      const delay = Math.max(backoff, result.retry_after_ms || 0);
+      if (Date.now() + delay >= deadline) {
+        console.error(`[Quote0Client] ❌ Retry budget of ${RETRY_BUDGET}ms exhausted, giving up`);
+        break;
+      }
+
+      console.log(`[Quote0Client] Retrying in ${delay}ms...`);
+      await this.sleep(delay);
+    }
+
+    // Don't throw - updateDisplay reports the failure and queues the payload for the retry sweeper
+    const { retry_after_ms: retryAfterMs, ...outcome } = result;
+    return { ...outcome, attempts: attempt };
+  }
+
+  /**
+   * Make one request to the device
+   * @param {Object} displayData - Formatted display data
+   * @param {Object} household - Household with device_api and device_token
+   * @param {number} attempt - Attempt number (for logs)
+   * @param {number} timeout - Request timeout in milliseconds
+   * @returns {Promise<Object>} { success, http_status, latency_ms } or, on failure,
+   *   also { error, category, retry_after_ms }
+   */
+  async attemptSend(displayData, household, attempt, timeout) {
+    const { device_api: deviceApi, device_token: deviceToken } = household;
+    const startedAt = Date.now();
+
+    try {
+      console.log(`[Quote0Client] Sending update to device for household ${household.id} (attempt ${attempt}/${MAX_ATTEMPTS})`);
+      console.log('[Quote0Client] Endpoint:', deviceApi);
       console.log('[Quote0Client] Payload:', JSON.stringify(displayData, null, 2));
 
       // Build headers with Bearer token
       const headers = {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${QUOTE0_AUTH_TOKEN}`,
+        'Authorization': `Bearer ${deviceToken}`,
         'User-Agent': 'Quote0-API/1.0'
       };
 
       console.log('[Quote0Client] Using Bearer token authentication');
 
-      const response = await axios.post(QUOTE0_TEXT_API, displayData, {
-        timeout: 10000, // 10 second timeout
+      const response = await axios.post(deviceApi, displayData, {
+        timeout: Math.max(timeout, 1),
         headers: headers
       });
 
@@ -55,8 +236,11 @@ class Quote0ClientService {
       if (response.data) {
         console.log('[Quote0Client] Response data:', response.data);
       }
+
+      return { success: true, http_status: response.status, latency_ms: Date.now() - startedAt };
     } catch (error) {
-      console.error(`[Quote0Client] ❌ Failed to update Quote/0 (attempt ${attempt}/${MAX_RETRIES}):`, error.message);
+      const category = this.classifyError(error);
+      console.error(`[Quote0Client] ❌ Failed to update Quote/0 (attempt ${attempt}/${MAX_ATTEMPTS}, ${category}):`, error.message);
 
       if (error.response) {
         // Server responded with error status
@@ -71,42 +255,108 @@ class Quote0ClientService {
         console.error('[Quote0Client] Error setting up request:', error.message);
       }
 
-      // Retry logic
-      if (attempt < MAX_RETRIES) {
-        const delay = INITIAL_RETRY_DELAY * Math.pow(2, attempt - 1); // Exponential backoff
-        console.log(`[Quote0Client] Retrying in ${delay}ms...`);
-        
-        await this.sleep(delay);
-        return await this.updateDisplay(displayData, attempt + 1);
-      }
+      return {
+        success: false,
+        http_status: error.response?.status,
+        latency_ms: Date.now() - startedAt,
+        error: error.message,
+        category,
+        retry_after_ms: this.parseRetryAfter(error.response?.headers?.['retry-after'])
+      };
+    }
+  }
 
-      // All retries exhausted
-      console.error('[Quote0Client] ❌ Failed to update Quote/0 after all retry attempts');
-      console.error('[Quote0Client] Device will use hourly pull (GET /api/display) as fallback');
-      
-      // Don't throw error - allow scheduled update to complete
-      // Quote/0 device will pull data via GET endpoint as fallback
+  /**
+   * Classify a failed request
+   * @param {Error} error - Error thrown by axios
+   * @returns {string} 'rate_limited' (429), 'auth' (401/403), 'client_error' (other 4xx),
+   *   'server_error' (5xx), 'timeout', 'network' (no response) or 'request_error' (request could not be made)
+   */
+  classifyError(error) {
+    const status = error.response?.status;
+
+    if (status === 429) return 'rate_limited';
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 408) return 'timeout';
+    if (status >= 500) return 'server_error';
+    if (status >= 400) return 'client_error';
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'timeout';
+    if (error.request) return 'network';
+    return 'request_error';
+  }
+
+  /**
+   * Parse a Retry-After header
+   * @param {string} [value] - Seconds to wait, or an HTTP date
+   * @returns {number|null} Milliseconds to wait, or null if absent or invalid
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (/^\d+$/.test(String(value).trim())) {
+      return Number(value) * 1000;
     }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
   }
 
   /**
-   * Test connection to Quote/0 device
-   * @returns {Promise<boolean>} True if device is reachable
+   * Whether the circuit for a device is open (requests are not sent)
+   * After the cooldown one request is let through; its outcome closes or re-opens the circuit.
+   * @param {string} deviceApi - Device endpoint
+   * @returns {boolean} True if requests should not be sent
    */
-  async testConnection() {
-    if (!QUOTE0_TEXT_API) {
-      console.log('[Quote0Client] QUOTE0_TEXT_API not configured');
-      return false;
+  isCircuitOpen(deviceApi) {
+    const circuit = circuits.get(deviceApi);
+    return Boolean(circuit?.openedAt && Date.now() - circuit.openedAt < CIRCUIT_COOLDOWN);
+  }
+
+  /**
+   * Update a device's circuit with the outcome of a request
+   * @param {string} deviceApi - Device endpoint
+   * @param {Object} result - Result of attemptSend()
+   * @returns {void}
+   */
+  recordCircuitResult(deviceApi, result) {
+    if (result.success || !CIRCUIT_CATEGORIES.includes(result.category)) {
+      circuits.delete(deviceApi);
+      return;
+    }
+
+    const circuit = circuits.get(deviceApi) || { failures: 0, openedAt: null };
+    circuit.failures++;
+    if (circuit.failures >= CIRCUIT_THRESHOLD) {
+      console.error(`[Quote0Client] Circuit opened for ${deviceApi} after ${circuit.failures} consecutive failures, pausing for ${CIRCUIT_COOLDOWN}ms`);
+      circuit.openedAt = Date.now();
+    }
+    circuits.set(deviceApi, circuit);
+  }
+
+  /**
+   * Test connection to a household's Quote/0 device
+   * @param {Object} [household] - Household (defaults to the environment-configured household)
+   * @returns {Promise<Object>} { reachable, http_status, category, error } - category is
+   *   'not_configured' or a classifyError() category when the device is not reachable
+   */
+  async testConnection(household = householdService.getDefaultHousehold()) {
+    if (!household.device_api) {
+      console.log(`[Quote0Client] No device endpoint configured for household ${household.id}`);
+      return { reachable: false, category: 'not_configured', error: 'No device endpoint configured' };
     }
 
     try {
       // Try to make a HEAD request or simple GET to test connectivity
-      await axios.get(QUOTE0_TEXT_API, { timeout: 5000 });
+      const response = await axios.get(household.device_api, {
+        timeout: 5000,
+        headers: household.device_token ? { 'Authorization': `Bearer ${household.device_token}` } : {}
+      });
       console.log('[Quote0Client] Device is reachable');
-      return true;
+      return { reachable: true, http_status: response.status };
     } catch (error) {
-      console.log('[Quote0Client] Device is not reachable:', error.message);
-      return false;
+      const category = this.classifyError(error);
+      console.log(`[Quote0Client] Device is not reachable (${category}):`, error.message);
+      return { reachable: false, http_status: error.response?.status, category, error: error.message };
     }
   }
 
@@ -0,0 +1,311 @@
+/**
+ * Recurring Event Service
+ * Stores RRULE-style recurring event definitions in DynamoDB and expands
+ * them into occurrences for a given date
+ *
+ * Definitions belong to a household through their household_id attribute.
+ * Definitions created before households existed have none and belong to the
+ * default household.
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, ScanCommand, PutCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+
+const { v4: uuidv4 } = require('uuid');
+const { addDays, daysBetween, toUtcDate } = require('../utils/dateUtils');
+
+const TABLE_NAME = process.env.RECURRING_EVENTS_TABLE;
+const DEFAULT_HOUSEHOLD_ID = 'default';
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // Index matches Date.getUTCDay()
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Create DynamoDB client
+const client = new DynamoDBClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const docClient = DynamoDBDocumentClient.from(client, {
+  marshallOptions: {
+    removeUndefinedValues: true,
+    convertEmptyValues: false
+  }
+});
+
+class RecurringEventService {
+  /**
+   * Validate a recurring event definition
+   * @param {Object} rule - Definition as received from a client
+   * @returns {Array<string>} Validation error messages (empty if valid)
+   */
+  validateRule(rule) {
+    const errors = [];
+
+    if (!rule.event) errors.push("Missing required field 'event'");
+    if (!rule.freq) errors.push("Missing required field 'freq'");
+    if (!rule.start_date) errors.push("Missing required field 'start_date'");
+
+    if (rule.freq && !FREQUENCIES.includes(String(rule.freq).toUpperCase())) {
+      errors.push(`Invalid freq '${rule.freq}'. Use daily, weekly or monthly`);
+    }
+
+    if (rule.interval !== undefined && (!Number.isInteger(rule.interval) || rule.interval < 1)) {
+      errors.push('interval must be a positive integer');
+    }
+
+    if (rule.count !== undefined && (!Number.isInteger(rule.count) || rule.count < 1)) {
+      errors.push('count must be a positive integer');
+    }
+
+    if (rule.position !== undefined && (!Number.isInteger(rule.position) || rule.position < 0)) {
+      errors.push('position must be a non-negative integer');
+    }
+
+    for (const field of ['start_date', 'until']) {
+      if (rule[field] !== undefined && !DATE_PATTERN.test(rule[field])) {
+        errors.push(`Invalid ${field} '${rule[field]}'. Use YYYY-MM-DD`);
+      }
+    }
+
+    if (rule.weekdays !== undefined) {
+      const valid = Array.isArray(rule.weekdays) &&
+        rule.weekdays.every(day => WEEKDAYS.includes(String(day).toUpperCase()));
+      if (!valid) errors.push(`weekdays must be an array of ${WEEKDAYS.join(', ')}`);
+    }
+
+    if (rule.month_days !== undefined) {
+      const valid = Array.isArray(rule.month_days) &&
+        rule.month_days.every(day => Number.isInteger(day) && day !== 0 && day >= -31 && day <= 31);
+      if (!valid) errors.push('month_days must be an array of day numbers (1 to 31, or -1 for the last day)');
+    }
+
+    if (rule.exdates !== undefined) {
+      const valid = Array.isArray(rule.exdates) && rule.exdates.every(d => DATE_PATTERN.test(d));
+      if (!valid) errors.push('exdates must be an array of YYYY-MM-DD dates');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create a recurring event definition
+   * @param {string} householdId - Household ID
+   * @param {Object} rule - Validated definition (see validateRule)
+   * @param {Object} [replaces] - Stored definition to overwrite, keeping its id and created_at
+   * @returns {Promise<Object>} Stored definition
+   */
+  async createRecurringEvent(householdId, rule, replaces) {
+    try {
+      const now = new Date().toISOString();
+      const item = {
+        id: replaces?.id || uuidv4(),                  // Partition key (UUID)
+        household_id: householdId,
+        event: rule.event,                             // Event description
+        freq: String(rule.freq).toUpperCase(),         // DAILY | WEEKLY | MONTHLY
+        interval: rule.interval || 1,
+        weekdays: rule.weekdays ? rule.weekdays.map(day => String(day).toUpperCase()) : undefined,
+        month_days: rule.month_days,
+        start_date: rule.start_date,
+        until: rule.until,
+        count: rule.count,
+        exdates: rule.exdates,
+        position: rule.position || 0,                  // Display order among the day's events
+        ical_uid: rule.ical_uid,                       // UID of the VEVENT it was imported from
+        created_at: replaces?.created_at || now,
+        updated_at: replaces ? now : undefined
+      };
+
+      console.log(`[RecurringEvents] ${replaces ? 'Replacing' : 'Creating'} recurring event:`, item);
+
+      await docClient.send(new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item
+      }));
+
+      console.log('[RecurringEvents] Recurring event created successfully');
+
+      return item;
+    } catch (error) {
+      console.error('[RecurringEvents] Error creating recurring event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all recurring event definitions of a household
+   * @param {string} householdId - Household ID
+   * @returns {Promise<Array>} Array of definitions
+   */
+  async getRecurringEvents(householdId) {
+    try {
+      const items = [];
+      let exclusiveStartKey;
+
+      do {
+        const response = await docClient.send(new ScanCommand({
+          TableName: TABLE_NAME,
+          ...this.householdCondition(householdId, 'FilterExpression'),
+          ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(response.Items || []));
+        exclusiveStartKey = response.LastEvaluatedKey;
+      } while (exclusiveStartKey);
+
+      console.log(`[RecurringEvents] Found ${items.length} recurring events for household ${householdId}`);
+
+      return items;
+    } catch (error) {
+      console.error('[RecurringEvents] Error scanning recurring events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a recurring event definition
+   * @param {string} householdId - Household ID
+   * @param {string} id - Definition ID
+   * @returns {Promise<Object|null>} Deleted definition, or null if it did not exist
+   */
+  async deleteRecurringEvent(householdId, id) {
+    try {
+      const response = await docClient.send(new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: { id },
+        ...this.householdCondition(householdId, 'ConditionExpression'),
+        ReturnValues: 'ALL_OLD'
+      }));
+
+      console.log('[RecurringEvents] Recurring event deleted successfully:', id);
+      return response.Attributes;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        console.log(`[RecurringEvents] Recurring event not found for delete: ${householdId}/${id}`);
+        return null;
+      }
+      console.error('[RecurringEvents] Error deleting recurring event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the expression restricting a scan or delete to a household's definitions
+   * @param {string} householdId - Household ID
+   * @param {string} expressionName - 'FilterExpression' or 'ConditionExpression'
+   * @returns {Object} Command parameters to spread into the command input
+   */
+  householdCondition(householdId, expressionName) {
+    const expression = householdId === DEFAULT_HOUSEHOLD_ID
+      ? '(household_id = :h OR attribute_not_exists(household_id))'
+      : 'household_id = :h';
+
+    return {
+      [expressionName]: expressionName === 'ConditionExpression'
+        ? `attribute_exists(id) AND ${expression}`
+        : expression,
+      ExpressionAttributeValues: { ':h': householdId }
+    };
+  }
+
+  /**
+   * Expand a household's recurring definitions into event objects for a date
+   * The returned objects have the same shape as stored events, with
+   * recurring_id pointing back at the definition.
+   * @param {string} householdId - Household ID
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<Array>} Occurrences on that date
+   */
+  async getOccurrencesForDate(householdId, date) {
+    const rules = await this.getRecurringEvents(householdId);
+
+    const occurrences = rules
+      .filter(rule => this.occursOn(rule, date))
+      .map(rule => ({
+        household_id: householdId,
+        date,
+        id: `${rule.id}:${date}`,
+        event: rule.event,
+        position: rule.position || 0,
+        created_at: rule.created_at,
+        recurring_id: rule.id
+      }));
+
+    console.log(`[RecurringEvents] ${occurrences.length} recurring events occur on ${date}`);
+
+    return occurrences;
+  }
+
+  /**
+   * Check whether a definition has an occurrence on a date
+   * COUNT is applied before exception dates are removed, as in RFC 5545.
+   * @param {Object} rule - Stored definition
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {boolean} True if the rule occurs on that date
+   */
+  occursOn(rule, date) {
+    if (!this.matchesPattern(rule, date)) return false;
+    if ((rule.exdates || []).includes(date)) return false;
+
+    if (rule.count) {
+      // Count the occurrences before this date; stop as soon as the limit is reached
+      let seen = 0;
+      for (let d = rule.start_date; d < date; d = addDays(d, 1)) {
+        if (this.matchesPattern(rule, d) && ++seen >= rule.count) return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check a date against the frequency/interval/by-day parts of a rule,
+   * ignoring count and exception dates
+   * @param {Object} rule - Stored definition
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {boolean} True if the date fits the pattern
+   */
+  matchesPattern(rule, date) {
+    if (date < rule.start_date) return false;
+    if (rule.until && date > rule.until) return false;
+
+    const interval = rule.interval || 1;
+    const start = toUtcDate(rule.start_date);
+    const target = toUtcDate(date);
+
+    switch (rule.freq) {
+      case 'DAILY':
+        return daysBetween(rule.start_date, date) % interval === 0;
+
+      case 'WEEKLY': {
+        const weekdays = rule.weekdays && rule.weekdays.length > 0
+          ? rule.weekdays
+          : [WEEKDAYS[start.getUTCDay()]];
+        if (!weekdays.includes(WEEKDAYS[target.getUTCDay()])) return false;
+
+        // Weeks start on Monday (RRULE default WKST=MO)
+        const weekStart = d => addDays(d, -((toUtcDate(d).getUTCDay() + 6) % 7));
+        const weeks = daysBetween(weekStart(rule.start_date), weekStart(date)) / 7;
+        return weeks % interval === 0;
+      }
+
+      case 'MONTHLY': {
+        const months = (target.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+          (target.getUTCMonth() - start.getUTCMonth());
+        if (months % interval !== 0) return false;
+
+        const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+        const monthDays = rule.month_days && rule.month_days.length > 0
+          ? rule.month_days
+          : [start.getUTCDate()];
+        return monthDays
+          .map(day => (day < 0 ? daysInMonth + 1 + day : day))
+          .includes(target.getUTCDate());
+      }
+
+      default:
+        return false;
+    }
+  }
+}
+
+module.exports = new RecurringEventService();
@@ -0,0 +1,186 @@
+/**
+ * Reminder Service
+ * Schedules the extra pushes timed events need: one `remind_before` minutes
+ * before an event starts and one when it ends (so it drops off the display).
+ *
+ * Reminders are rows in the reminders table that the reminder sweeper
+ * (scheduledUpdateService.sendDueReminders, every 5 minutes) picks up once
+ * they are due, standing in for one-off schedules. A reminder can therefore
+ * land up to 5 minutes late; rows expire a day after they were due.
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, PutCommand, DeleteCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+
+const dateUtils = require('../utils/dateUtils');
+
+const TABLE_NAME = process.env.REMINDERS_TABLE;
+const KINDS = ['reminder', 'end'];
+
+// Create DynamoDB client
+const client = new DynamoDBClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const docClient = DynamoDBDocumentClient.from(client, {
+  marshallOptions: {
+    removeUndefinedValues: true,
+    convertEmptyValues: false
+  }
+});
+
+/**
+ * Key of an event's reminder of one kind
+ */
+function reminderId(householdId, date, eventId, kind) {
+  return `${householdId}#${date}#${eventId}#${kind}`;
+}
+
+class ReminderService {
+  /**
+   * When an event's pushes are due
+   * @param {Object} event - Event object ({ date, start_time, end_time, remind_before })
+   * @param {string} timezone - Household timezone
+   * @returns {Object} { reminder, end } - Date of each push, or undefined when the event needs none
+   */
+  getDueTimes(event, timezone) {
+    if (!event.start_time) return {};
+
+    const start = dateUtils.zonedTimeToInstant(event.date, event.start_time, timezone);
+    return {
+      reminder: event.remind_before ? new Date(start.getTime() - event.remind_before * 60 * 1000) : undefined,
+      end: dateUtils.zonedTimeToInstant(event.date, event.end_time || event.start_time, timezone)
+    };
+  }
+
+  /**
+   * Schedule (or reschedule) an event's reminder and end pushes
+   * Pushes already in the past are not scheduled; an untimed or completed
+   * event has its pushes cancelled. Failures are logged, not thrown.
+   * @param {Object} household - Household (see householdService)
+   * @param {Object} event - Event object from dynamoDbService
+   * @returns {Promise<Array<Object>>} Scheduled pushes ({ kind, due_at })
+   */
+  async scheduleForEvent(household, event) {
+    if (!TABLE_NAME) {
+      if (event.start_time) {
+        console.warn('[Reminders] REMINDERS_TABLE not set, no reminder or end push will be scheduled');
+      }
+      return [];
+    }
+
+    const dueTimes = event.completed_at ? {} : this.getDueTimes(event, household.timezone);
+    const now = Date.now();
+    const scheduled = [];
+
+    try {
+      for (const kind of KINDS) {
+        const id = reminderId(household.id, event.date, event.id, kind);
+        const due = dueTimes[kind];
+
+        if (!due || due.getTime() <= now) {
+          await docClient.send(new DeleteCommand({ TableName: TABLE_NAME, Key: { id } }));
+          continue;
+        }
+
+        await docClient.send(new PutCommand({
+          TableName: TABLE_NAME,
+          Item: {
+            id,                                 // Partition key
+            household_id: household.id,
+            date: event.date,
+            event_id: event.id,
+            kind,
+            due_at: due.toISOString(),
+            ttl: Math.floor(due.getTime() / 1000) + 24 * 60 * 60
+          }
+        }));
+        scheduled.push({ kind, due_at: due.toISOString() });
+      }
+
+      if (scheduled.length > 0) {
+        console.log(`[Reminders] Scheduled for event ${event.id} on ${event.date}: ${scheduled.map(s => `${s.kind} at ${s.due_at}`).join(', ')}`);
+      }
+      return scheduled;
+    } catch (error) {
+      console.error('[Reminders] Error scheduling reminders:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Cancel an event's pending pushes (failures are logged, not thrown)
+   * @param {string} householdId - Household ID
+   * @param {string} date - Event date in YYYY-MM-DD format
+   * @param {string} eventId - Event ID
+   * @returns {Promise<void>}
+   */
+  async cancelForEvent(householdId, date, eventId) {
+    if (!TABLE_NAME) return;
+
+    try {
+      for (const kind of KINDS) {
+        await docClient.send(new DeleteCommand({
+          TableName: TABLE_NAME,
+          Key: { id: reminderId(householdId, date, eventId, kind) }
+        }));
+      }
+    } catch (error) {
+      console.error('[Reminders] Error cancelling reminders:', error.message);
+    }
+  }
+
+  /**
+   * Get every reminder that is due
+   * @param {Date} [now=new Date()] - Current instant
+   * @returns {Promise<Array>} Due reminders ({ id, household_id, date, event_id, kind, due_at })
+   */
+  async listDue(now = new Date()) {
+    if (!TABLE_NAME) return [];
+
+    try {
+      const items = [];
+      let exclusiveStartKey;
+
+      do {
+        const response = await docClient.send(new ScanCommand({
+          TableName: TABLE_NAME,
+          FilterExpression: 'due_at <= :now',
+          ExpressionAttributeValues: {
+            ':now': now.toISOString()
+          },
+          ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(response.Items || []));
+        exclusiveStartKey = response.LastEvaluatedKey;
+      } while (exclusiveStartKey);
+
+      console.log(`[Reminders] Found ${items.length} due reminder(s)`);
+      return items;
+    } catch (error) {
+      console.error('[Reminders] Error listing due reminders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a reminder once it has been handled
+   * @param {string} id - Reminder ID
+   * @returns {Promise<void>}
+   */
+  async deleteReminder(id) {
+    if (!TABLE_NAME) return;
+
+    try {
+      await docClient.send(new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: { id }
+      }));
+    } catch (error) {
+      console.error('[Reminders] Error deleting reminder:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,127 @@
+/**
+ * Schedule Slot Service
+ * Named times of day at which the scheduled update runs, each with its own
+ * content rules:
+ *   day        Whose events to show: 'today' or 'tomorrow'
+ *   bins       Show the reminder for tomorrow's bin collections
+ *   sync_bins  Fetch bin collections from the provider before building the display
+ *
+ * EventBridge passes the slot name as its input ({ "slot": "evening" }).
+ * Slots come from the defaults below, overridden or extended by the
+ * SCHEDULE_SLOTS environment variable (JSON, slot name to rules).
+ */
+
+const dateUtils = require('../utils/dateUtils');
+
+const DEFAULT_SLOT = 'default';
+
+const DEFAULT_SLOTS = {
+  default: { day: 'today', bins: true, sync_bins: true },     // Manual and unscheduled updates
+  morning: { day: 'today', bins: false, sync_bins: false },   // 07:10 UTC
+  midday: { day: 'today', bins: false, sync_bins: false },    // 12:10 UTC
+  evening: { day: 'tomorrow', bins: true, sync_bins: true }   // 17:10 UTC
+};
+
+const DAYS = ['today', 'tomorrow'];
+const RULES = ['day', 'bins', 'sync_bins'];
+
+/**
+ * Check one slot's rules
+ * @param {string} name - Slot name
+ * @param {Object} rules - Rules to check (any subset of day, bins, sync_bins)
+ * @returns {Array<string>} Validation error messages
+ */
+function validateSlot(name, rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return [`${name} must be an object`];
+  }
+
+  const errors = [];
+  for (const [rule, value] of Object.entries(rules)) {
+    if (!RULES.includes(rule)) {
+      errors.push(`${name}: unknown rule '${rule}'. Use: ${RULES.join(', ')}`);
+    } else if (rule === 'day' && !DAYS.includes(value)) {
+      errors.push(`${name}: day must be one of: ${DAYS.join(', ')}`);
+    } else if (rule !== 'day' && typeof value !== 'boolean') {
+      errors.push(`${name}: ${rule} must be true or false`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load slots from SCHEDULE_SLOTS over the defaults
+ * @returns {Object} Slots by name
+ */
+function loadSlots() {
+  const configured = process.env.SCHEDULE_SLOTS;
+  if (!configured) return { ...DEFAULT_SLOTS };
+
+  try {
+    const parsed = JSON.parse(configured);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('must be an object of slot name to rules');
+    }
+
+    const errors = Object.entries(parsed).flatMap(([name, rules]) => validateSlot(name, rules));
+    if (errors.length > 0) throw new Error(errors.join('; '));
+
+    const slots = { ...DEFAULT_SLOTS };
+    for (const [name, rules] of Object.entries(parsed)) {
+      slots[name] = { ...DEFAULT_SLOTS[DEFAULT_SLOT], ...DEFAULT_SLOTS[name], ...rules };
+    }
+    return slots;
+  } catch (error) {
+    console.warn(`[Slots] Ignoring invalid SCHEDULE_SLOTS: ${error.message}`);
+    return { ...DEFAULT_SLOTS };
+  }
+}
+
+class ScheduleSlotService {
+  constructor() {
+    this.slots = loadSlots();
+    this.defaultSlot = DEFAULT_SLOT;
+  }
+
+  /**
+   * Get a slot by name
+   * @param {string} [name] - Slot name (defaults to the default slot)
+   * @returns {Object|null} { name, day, bins, sync_bins }, or null if there is no such slot
+   */
+  getSlot(name = DEFAULT_SLOT) {
+    if (!Object.prototype.hasOwnProperty.call(this.slots, name)) return null;
+    return { name, ...this.slots[name] };
+  }
+
+  /**
+   * Names of every slot
+   * @returns {Array<string>} Slot names
+   */
+  getSlotNames() {
+    return Object.keys(this.slots);
+  }
+
+  /**
+   * Day whose events a slot shows
+   * @param {Object} slot - Slot (see getSlot)
+   * @param {string} timezone - Household timezone
+   * @returns {string} Date in YYYY-MM-DD format
+   */
+  getDisplayDate(slot, timezone) {
+    const today = dateUtils.today(timezone);
+    return slot.day === 'tomorrow' ? dateUtils.addDays(today, 1) : today;
+  }
+
+  /**
+   * Day on which a slot shows a given day's events (the inverse of getDisplayDate)
+   * @param {Object} slot - Slot (see getSlot)
+   * @param {string} date - Day whose events are shown (YYYY-MM-DD)
+   * @returns {string} Date in YYYY-MM-DD format
+   */
+  getRunDate(slot, date) {
+    return slot.day === 'tomorrow' ? dateUtils.addDays(date, -1) : date;
+  }
+}
+
+module.exports = new ScheduleSlotService();
@@ -1,99 +1,580 @@
 /**
  * Scheduled Update Service
- * Orchestrates the daily scheduled updates:
- * 1. Fetch bin collections from Reading API
- * 2. Store in DynamoDB
+ * Orchestrates the scheduled updates, for every household:
+ * 1. Fetch bin collections from the configured provider (Reading API by default),
+ *    unless the last fetch is still fresh (see binCollectionService)
+ * 2. Store in DynamoDB, diffed against what is stored: collections the
+ *    provider dropped are deleted, and added, removed or moved collections
+ *    are recorded in the bin change log (see binChangeService)
  * 3. Query tomorrow's collections from database
- * 4. Query today's events from database
+ * 4. Query the day's events from database (including recurring occurrences)
  * 5. Format display data
  * 6. Push to Quote/0 device
+ *
+ * Each run belongs to a schedule slot (see scheduleSlotService) that decides
+ * whose events are shown, whether the bin reminder is, and whether steps 1-2
+ * run at all. The slot of the last push is kept in the display state, so
+ * refreshes and rotation keep showing what that slot showed.
+ *
+ * previewDisplay() runs steps 1-5 only, for POST /api/display/preview.
+ *
+ * When a day's events need more than one page, pushes show page 1 and
+ * rotateDisplays() (on its own schedule) moves each household on to the next
+ * page. The current page is kept in the display state table.
+ *
+ * Pushes are skipped when the device already shows the same payload (see
+ * quote0ClientService.updateDisplay); pass { force: true } to push anyway.
+ * Payloads that could not be pushed are retried by retryPendingPushes().
+ * Timed events get extra pushes, ahead of them and when they end, from
+ * sendDueReminders() (see reminderService).
+ *
+ * The first scheduled run of each day first moves unfinished carry_over
+ * events from earlier days to today (carryOverEvents()).
  */
 
 const binCollectionService = require('./binCollectionService');
 const binCollectionDbService = require('./binCollectionDbService');
 const dynamoDbService = require('./dynamoDbService');
+const recurringEventService = require('./recurringEventService');
 const displayFormatterService = require('./displayFormatterService');
 const quote0ClientService = require('./quote0ClientService');
+const householdService = require('./householdService');
+const displayStateService = require('./displayStateService');
+const pendingPushService = require('./pendingPushService');
+const templateService = require('./templateService');
+const scheduleSlotService = require('./scheduleSlotService');
+const reminderService = require('./reminderService');
+const binChangeService = require('./binChangeService');
+const dateUtils = require('../utils/dateUtils');
 
 class ScheduledUpdateService {
   /**
-   * Execute the complete scheduled update process
-   * @returns {Promise<Object>} Result object with success status and metrics
+   * Fetch a household's bin collections from its provider and store them (steps 1-2)
+   * Any change to the stored schedule is recorded in the bin change log. Step 2
+   * is skipped when the provider was not called (the last fetch is still
+   * fresh) or failed, leaving the stored collections as they are. The fetch
+   * only counts as successful once its collections are stored.
+   * @param {Object} household - Household (see householdService)
+   * @returns {Promise<Object>} { apiCollections, storedCount, deletedCount, changes, source, status } -
+   *   changes as binCollectionDbService.reconcileBinCollections returns them, source and status as
+   *   binCollectionService.fetchBinCollections does
    */
-  async executeUpdate() {
+  async syncBinCollections(household) {
+    // Step 1: Fetch bin collections from the household's provider
+    console.log('');
+    console.log('Step 1/6: Fetching bin collections from provider...');
+    const { collections, source, status: fetchStatus } = await binCollectionService.fetchBinCollections(household);
+
+    if (source !== 'provider') {
+      console.log(source === 'stored'
+        ? `✅ Step 1 complete: Skipped, collections fetched at ${fetchStatus.last_success_at} are still fresh`
+        : `⚠️  Step 1 failed: ${fetchStatus.last_error}; using ${collections.length} stored collections`);
+      console.log('');
+      console.log('Step 2/6: Skipped, stored collections unchanged');
+      return {
+        apiCollections: [],
+        storedCount: 0,
+        deletedCount: 0,
+        changes: { added: [], removed: [], moved: [] },
+        source,
+        status: fetchStatus
+      };
+    }
+
+    const apiCollections = collections;
+    console.log(`✅ Step 1 complete: Fetched ${apiCollections.length} collections from provider`);
+
+    // Step 2: Store bin collections in DynamoDB
+    console.log('');
+    console.log('Step 2/6: Storing bin collections in DynamoDB...');
+    const today = dateUtils.today(household.timezone);
+    let reconciled;
+    try {
+      reconciled = await binCollectionDbService.reconcileBinCollections(household.id, apiCollections, today);
+    } catch (error) {
+      // Not stored, so the next run must fetch again rather than trust this fetch
+      await binCollectionService.recordFetchFailure(household, error);
+      throw error;
+    }
+    const { storedCount, deletedCount, changes } = reconciled;
+    const status = await binCollectionService.recordFetchSuccess(household, apiCollections);
+    const changeCount = changes.added.length + changes.removed.length + changes.moved.length;
+    if (changeCount > 0) {
+      await binChangeService.recordChanges(household.id, changes, today);
+    }
+    console.log(`✅ Step 2 complete: Stored ${storedCount} bin collections in database ` +
+      `(${deletedCount} stale removed, ${changeCount} schedule change${changeCount === 1 ? '' : 's'})`);
+
+    return { apiCollections, storedCount, deletedCount, changes, source, status };
+  }
+
+  /**
+   * Move carry_over events from earlier days that were not completed to the end of today
+   * Runs once a day per household (the first run of the day, remembered in the
+   * display state) and catches up on days without a run. Each event keeps its
+   * id (see dynamoDbService.moveEvent), so a run that fails half way can be
+   * repeated without moving anything twice. Failures are logged, not thrown.
+   * @param {Object} household - Household (see householdService)
+   * @returns {Promise<Array<Object>>} Events moved to today
+   */
+  async carryOverEvents(household) {
+    const today = dateUtils.today(household.timezone);
+    const carried = [];
+
+    try {
+      const state = await displayStateService.getState(household.id);
+      if (state?.carried_over_on === today) return carried;
+
+      const unfinished = (await dynamoDbService.getAllEvents(household.id))
+        .filter(e => e.date < today && e.carry_over && !e.completed_at);
+
+      if (unfinished.length > 0) {
+        console.log('');
+        console.log(`Carrying over ${unfinished.length} unfinished event(s) to ${today}...`);
+
+        let position = (await dynamoDbService.getEventsByDate(household.id, today))
+          .reduce((max, e) => Math.max(max, (e.position || 0) + 1), 0);
+
+        for (const e of unfinished) {
+          const moved = await dynamoDbService.moveEvent(household.id, e, today, position++);
+          await reminderService.cancelForEvent(household.id, e.date, e.id);
+          await reminderService.scheduleForEvent(household, moved);
+          carried.push(moved);
+        }
+
+        console.log(`✅ Carried over ${carried.length} event(s)`);
+      }
+
+      await displayStateService.updateState(household.id, { carried_over_on: today });
+    } catch (error) {
+      console.warn(`[CarryOver] Household ${household.id}: carrying over events failed after ${carried.length}: ${error.message}`);
+    }
+
+    return carried;
+  }
+
+  /**
+   * Build a household's display for a day from the database (steps 3-5)
+   * @param {Object} household - Household (see householdService)
+   * @param {string} [date] - Day whose events to show (YYYY-MM-DD, defaults to today in the household timezone)
+   * @param {Object} [options] - { bins: show the bin reminder (default true), binsDate: day of the collections
+   *   it reminds of (defaults to the day after `date`); the "bin day moved" notice is for changes found the day before it }
+   * @returns {Promise<Object>} The reminded collections, the day's events, the formatted pages and the first page's display data
+   */
+  async buildDisplay(household, date = dateUtils.today(household.timezone), { bins = true, binsDate = dateUtils.addDays(date, 1) } = {}) {
+    // Step 3: Query tomorrow's bin collections from database
+    console.log('');
+    let tomorrowCollections = [];
+    let binsMoved = false;
+    if (bins) {
+      console.log('Step 3/6: Querying tomorrow\'s bin collections from database...');
+      tomorrowCollections = await binCollectionDbService.getBinCollectionsByDate(household.id, binsDate);
+      binsMoved = await binChangeService.hasChangeOn(household.id, dateUtils.addDays(binsDate, -1));
+      console.log(`✅ Step 3 complete: Found ${tomorrowCollections.length} bin collections for ${binsDate}` +
+        `${binsMoved ? ', bin schedule changed the day before' : ''}`);
+    } else {
+      console.log('Step 3/6: Skipped, no bin reminder in this slot');
+    }
+
+    // Step 4: Query the day's events from database
+    console.log('');
+    console.log(`Step 4/6: Querying events for ${date} from database...`);
+    const oneOffEvents = await dynamoDbService.getEventsByDate(household.id, date);
+    const recurringEvents = await recurringEventService.getOccurrencesForDate(household.id, date);
+    const events = [...oneOffEvents, ...recurringEvents];
+    console.log(`✅ Step 4 complete: Found ${events.length} events for ${date}, ${recurringEvents.length} recurring`);
+
+    // Step 5: Format display data
+    console.log('');
+    console.log('Step 5/6: Formatting display data...');
+    const templates = templateService.getTemplates(household);
+    // On today's display, timed events that are over are left out
+    const time = date === dateUtils.today(household.timezone) ? dateUtils.currentTime(household.timezone) : null;
+    const pages = displayFormatterService.formatDisplayPages(events, tomorrowCollections, date, templates, { time, binsMoved });
+    const displayData = pages[0];
+    console.log(`✅ Step 5 complete: Display data formatted (${pages.length} page${pages.length === 1 ? '' : 's'})`);
+    console.log('');
+    console.log('Display Data Preview:');
+    console.log('─'.repeat(40));
+    console.log(`Title:     "${displayData.title}"`);
+    console.log(`Message:   "${displayData.message.replace(/\n/g, '\\n')}"`);
+    console.log('─'.repeat(40));
+
+    return { tomorrowCollections, events, pages, displayData };
+  }
+
+  /**
+   * Build a household's display following a slot's rules (steps 3-5)
+   * The bin reminder is for the day after the one the slot runs on (see
+   * scheduleSlotService.getRunDate), so an evening slot showing tomorrow's
+   * events still reminds of tomorrow's bins, and a future date shows what
+   * the device will show then.
+   * @param {Object} household - Household (see householdService)
+   * @param {Object} slot - Schedule slot (see scheduleSlotService)
+   * @param {string} date - Day whose events to show (YYYY-MM-DD)
+   * @returns {Promise<Object>} See buildDisplay
+   */
+  async buildSlotDisplay(household, slot, date) {
+    const binsDate = dateUtils.addDays(scheduleSlotService.getRunDate(slot, date), 1);
+    return this.buildDisplay(household, date, { bins: slot.bins, binsDate });
+  }
+
+  /**
+   * The slot and day a household's display currently follows
+   * That of the last push while it still shows today or later (an evening
+   * slot showing tomorrow carries on past midnight), otherwise the default
+   * slot showing today.
+   * @param {Object} household - Household (see householdService)
+   * @returns {Promise<Object>} { slot, date, state }
+   */
+  async getCurrentSlot(household) {
+    const today = dateUtils.today(household.timezone);
+    const state = await displayStateService.getState(household.id);
+    const slot = state?.slot && state.date >= today ? scheduleSlotService.getSlot(state.slot) : null;
+
+    if (slot) return { slot, date: state.date, state };
+    return { slot: scheduleSlotService.getSlot(), date: today, state };
+  }
+
+  /**
+   * Push one page to a household's Quote/0 and remember it (step 6)
+   * @param {Object} household - Household (see householdService)
+   * @param {Array<Object>} pages - Formatted pages (see buildDisplay)
+   * @param {number} index - Index of the page to push
+   * @param {string} date - Day the pages show (YYYY-MM-DD)
+   * @param {Object} [options] - { force: push even if the device already shows this page, trigger: what caused the push,
+   *   slot: name of the schedule slot the pages follow }
+   * @returns {Promise<Object>} { displayData, page, pages, push, push_id } with a 1-based page number, the push status and its history record
+   */
+  async pushPage(household, pages, index, date, { force = false, trigger, slot } = {}) {
+    const displayData = pages[index];
+
+    console.log('');
+    console.log(`Step 6/6: Pushing update to Quote/0 device${pages.length > 1 ? ` (page ${index + 1}/${pages.length})` : ''}...`);
+    const { status, push_id: pushId } = await quote0ClientService.updateDisplay(displayData, household, { force, trigger });
+    if (status === 'failed') {
+      console.error('❌ Step 6 failed: Quote/0 did not accept the update, queued for retry');
+    } else {
+      console.log(`✅ Step 6 complete: ${status === 'unchanged' ? 'Display unchanged, push skipped' : `Push ${status}`}`);
+    }
+
+    await displayStateService.updateState(household.id, { date, page: index, pages: pages.length, slot });
+
+    return { displayData, page: index + 1, pages: pages.length, push: status, push_id: pushId };
+  }
+
+  /**
+   * Rebuild a household's display from the database and push it to its Quote/0 (steps 3-6)
+   * Used after events are created, edited or deleted. The display keeps following
+   * the current slot (see getCurrentSlot); rotation starts again from page 1.
+   * @param {Object} household - Household (see householdService)
+   * @param {Object} [options] - { force: push even if the display is unchanged, trigger: what caused the refresh (e.g. 'createEvent') }
+   * @returns {Promise<Object>} { displayData, page, pages, push, push_id, date } for the pushed page and the day it shows
+   */
+  async refreshDisplay(household, { force = false, trigger } = {}) {
+    const { slot, date } = await this.getCurrentSlot(household);
+    const { pages } = await this.buildSlotDisplay(household, slot, date);
+
+    const result = await this.pushPage(household, pages, 0, date, { force, trigger, slot: slot.name });
+    return { ...result, date };
+  }
+
+  /**
+   * Move every household with more than one page on to its next page
+   * Runs on the rotation schedule; a failure in one household does not stop the others.
+   * @returns {Promise<Object>} { success, timestamp, households: [...] }
+   */
+  async rotateDisplays() {
+    console.log('');
+    console.log('═'.repeat(80));
+    console.log('🔄 DISPLAY ROTATION STARTED');
+    console.log(`   Time: ${new Date().toISOString()}`);
+    console.log('═'.repeat(80));
+
+    const households = await householdService.getHouseholds();
+    const results = [];
+
+    for (const household of households) {
+      try {
+        results.push(await this.rotateHouseholdDisplay(household));
+      } catch (error) {
+        console.error(`❌ Household ${household.id} rotation failed: ${error.message}`);
+        results.push({ household_id: household.id, success: false, error: error.message });
+      }
+    }
+
+    const failed = results.filter(r => !r.success);
+    const rotated = results.filter(r => r.rotated);
+    console.log('═'.repeat(80));
+    console.log(`🔄 DISPLAY ROTATION COMPLETE: ${rotated.length} rotated, ${failed.length} failed, ${results.length} household(s)`);
+    console.log('═'.repeat(80));
+
+    return {
+      success: failed.length === 0,
+      timestamp: new Date().toISOString(),
+      households: results
+    };
+  }
+
+  /**
+   * Push a household's next page, if the shown day's events need more than one
+   * @param {Object} household - Household (see householdService)
+   * @returns {Promise<Object>} { household_id, success, rotated, page, pages, push, push_id }
+   */
+  async rotateHouseholdDisplay(household) {
+    const { slot, date, state } = await this.getCurrentSlot(household);
+    const { pages } = await this.buildSlotDisplay(household, slot, date);
+
+    if (pages.length <= 1) {
+      console.log(`[Rotation] Household ${household.id}: one page, nothing to rotate`);
+      return { household_id: household.id, success: true, rotated: false, page: 1, pages: pages.length };
+    }
+
+    // Carry on from the last pushed page; a new day starts again at page 1
+    const next = state && state.date === date ? (state.page + 1) % pages.length : 0;
+
+    const { page, push, push_id: pushId } = await this.pushPage(household, pages, next, date, { trigger: 'rotation', slot: slot.name });
+
+    return { household_id: household.id, success: push !== 'failed', rotated: true, page, pages: pages.length, push, push_id: pushId };
+  }
+
+  /**
+   * Retry every payload that could not be pushed
+   * Runs on the retry schedule. A pending push stays queued until it reaches
+   * the device or a newer push supersedes it.
+   * @returns {Promise<Object>} { success, timestamp, households: [...] }
+   */
+  async retryPendingPushes() {
+    console.log('');
+    console.log('═'.repeat(80));
+    console.log('🔁 PENDING PUSH RETRY STARTED');
+    console.log(`   Time: ${new Date().toISOString()}`);
+    console.log('═'.repeat(80));
+
+    const pending = await pendingPushService.listPending();
+    const results = [];
+
+    for (const item of pending) {
+      try {
+        const household = await householdService.getHousehold(item.household_id);
+        if (!household) {
+          console.log(`[Retry] Household ${item.household_id} no longer exists, dropping its pending push`);
+          await pendingPushService.clearPending(item.household_id);
+          results.push({ household_id: item.household_id, success: true, push: 'dropped' });
+          continue;
+        }
+
+        console.log(`[Retry] Household ${household.id}: retrying push from ${item.first_failed_at} (${item.failures} failure(s), last error: ${item.last_error})`);
+        const { status, push_id: pushId } = await quote0ClientService.updateDisplay(item.payload, household, { trigger: 'retry' });
+
+        results.push({ household_id: household.id, success: status !== 'failed', push: status, push_id: pushId });
+      } catch (error) {
+        console.error(`❌ Household ${item.household_id} retry failed: ${error.message}`);
+        results.push({ household_id: item.household_id, success: false, error: error.message });
+      }
+    }
+
+    const failed = results.filter(r => !r.success);
+    console.log('═'.repeat(80));
+    console.log(`🔁 PENDING PUSH RETRY COMPLETE: ${results.length - failed.length} resolved, ${failed.length} still pending`);
+    console.log('═'.repeat(80));
+
+    return {
+      success: failed.length === 0,
+      timestamp: new Date().toISOString(),
+      households: results
+    };
+  }
+
+  /**
+   * Push the displays that due reminders call for
+   * Runs on the reminder schedule; a failure in one household does not stop the others.
+   * @returns {Promise<Object>} { success, timestamp, households: [...] }
+   */
+  async sendDueReminders() {
+    console.log('');
+    console.log('═'.repeat(80));
+    console.log('⏰ REMINDER SWEEP STARTED');
+    console.log(`   Time: ${new Date().toISOString()}`);
+    console.log('═'.repeat(80));
+
+    const due = await reminderService.listDue();
+    const byHousehold = new Map();
+    for (const reminder of due) {
+      if (!byHousehold.has(reminder.household_id)) byHousehold.set(reminder.household_id, []);
+      byHousehold.get(reminder.household_id).push(reminder);
+    }
+
+    const results = [];
+    for (const [householdId, reminders] of byHousehold) {
+      try {
+        results.push(await this.sendHouseholdReminders(householdId, reminders));
+      } catch (error) {
+        console.error(`❌ Household ${householdId} reminders failed: ${error.message}`);
+        results.push({ household_id: householdId, success: false, error: error.message });
+      }
+    }
+
+    const failed = results.filter(r => !r.success);
+    console.log('═'.repeat(80));
+    console.log(`⏰ REMINDER SWEEP COMPLETE: ${due.length} reminder(s), ${results.length} household(s), ${failed.length} failed`);
+    console.log('═'.repeat(80));
+
+    return {
+      success: failed.length === 0,
+      timestamp: new Date().toISOString(),
+      households: results
+    };
+  }
+
+  /**
+   * Push one household's display for its due reminders, then remove them
+   * One push covers every due reminder. Reminders for events that no longer
+   * exist, or for a day that is over, are dropped without a push. A reminder
+   * for today while the display shows tomorrow (after the evening slot)
+   * switches the display back to today; an end push for such an event is
+   * not needed, as it is not shown.
+   * @param {string} householdId - Household ID
+   * @param {Array<Object>} reminders - Due reminders (see reminderService.listDue)
+   * @returns {Promise<Object>} { household_id, success, reminders, push, push_id }
+   */
+  async sendHouseholdReminders(householdId, reminders) {
+    const household = await householdService.getHousehold(householdId);
+    let push = 'skipped';
+    let pushId;
+
+    if (!household) {
+      console.log(`[Reminders] Household ${householdId} no longer exists, dropping its reminders`);
+    } else {
+      const today = dateUtils.today(household.timezone);
+      const events = await dynamoDbService.getEventsByDate(household.id, today);
+      const live = reminders.filter(r => r.date === today && events.some(e => e.id === r.event_id));
+      let { slot, date } = await this.getCurrentSlot(household);
+
+      if (live.length === 0) {
+        console.log(`[Reminders] Household ${household.id}: no due reminder is for one of today's events, nothing to push`);
+      } else if (date !== today && !live.some(r => r.kind === 'reminder')) {
+        console.log(`[Reminders] Household ${household.id}: display shows ${date}, events that ended today are not on it`);
+      } else {
+        if (date !== today) {
+          console.log(`[Reminders] Household ${household.id}: display shows ${date}, switching back to today for the reminder`);
+          slot = scheduleSlotService.getSlot();
+          date = today;
+        }
+
+        console.log(`[Reminders] Household ${household.id}: pushing for ${live.map(r => `${r.kind} of ${r.event_id}`).join(', ')}`);
+        const { pages } = await this.buildSlotDisplay(household, slot, date);
+        ({ push, push_id: pushId } = await this.pushPage(household, pages, 0, date, { trigger: 'reminder', slot: slot.name }));
+      }
+    }
+
+    // A failed push is queued by quote0ClientService, so the reminders are done either way
+    for (const reminder of reminders) {
+      await reminderService.deleteReminder(reminder.id);
+    }
+
+    return { household_id: householdId, success: push !== 'failed', reminders: reminders.length, push, push_id: pushId };
+  }
+
+  /**
+   * Build a household's display as the scheduled update would, without pushing (steps 3-5)
+   * Nothing is written and the bin provider is not called: the stored
+   * collections are shown, with a warning when they are stale. The display
+   * follows the household's current slot (see getCurrentSlot).
+   * @param {Object} household - Household (see householdService)
+   * @param {string} [date] - Day to preview (YYYY-MM-DD, defaults to the day the current slot shows)
+   * @param {number} [page] - Page to render (1-based; past the last page renders the last page)
+   * @returns {Promise<Object>} { date, slot, page, pages, display, validation, screen, warnings }
+   */
+  async previewDisplay(household, date, page = 1) {
+    const { slot, date: slotDate } = await this.getCurrentSlot(household);
+    date = date || slotDate;
+    console.log(`[Preview] Household ${household.id}, date ${date}, slot ${slot.name}`);
+
+    const warnings = [];
+    if (slot.bins) {
+      const status = binCollectionService.getFetchStatus(await binCollectionService.getFetchState(household.id));
+      if (status.stale) {
+        warnings.push(status.last_success_at
+          ? `Bin collections were last fetched ${status.age_hours} hours ago` +
+            `${status.last_error ? ` (last error: ${status.last_error})` : ''}; showing stored collections`
+          : 'Bin collections have not been fetched yet');
+      }
+    }
+
+    const { pages } = await this.buildSlotDisplay(household, slot, date);
+    const index = Math.min(page, pages.length) - 1;
+    const displayData = pages[index];
+    const validation = displayFormatterService.validateDisplay(displayData);
+    const screen = displayFormatterService.renderScreen(displayData);
+
+    console.log('Screen:');
+    console.log(screen);
+
+    return {
+      date,
+      slot: slot.name,
+      page: index + 1,
+      pages: pages.length,
+      display: displayData,
+      validation,
+      screen,
+      warnings
+    };
+  }
+
+  /**
+   * Execute the complete scheduled update process for every household
+   * A failure in one household does not stop the others.
+   * @param {Object} [options] - { force: push even if a display is unchanged, slot: schedule slot name (defaults to the default slot) }
+   * @returns {Promise<Object>} Result object with success status and per-household metrics
+   */
+  async executeUpdate({ force = false, slot: slotName = scheduleSlotService.defaultSlot } = {}) {
     const startTime = Date.now();
     
     console.log('');
     console.log('═'.repeat(80));
     console.log(`🕐 SCHEDULED UPDATE STARTED`);
+    console.log(`   Slot: ${slotName}`);
     console.log(`   Time: ${new Date().toISOString()}`);
     console.log('═'.repeat(80));
 
     try {
-      // Step 1: Fetch bin collections from Reading API
-      console.log('');
-      console.log('Step 1/6: Fetching bin collections from Reading API...');
-      const apiCollections = await binCollectionService.fetchBinCollections();
-      console.log(`✅ Step 1 complete: Fetched ${apiCollections.length} collections from API`);
-
-      // Step 2: Store bin collections in DynamoDB
-      console.log('');
-      console.log('Step 2/6: Storing bin collections in DynamoDB...');
-      const storedCount = await binCollectionDbService.storeBinCollections(apiCollections);
-      console.log(`✅ Step 2 complete: Stored ${storedCount} bin collections in database`);
+      const slot = scheduleSlotService.getSlot(slotName);
+      if (!slot) {
+        throw new Error(`Unknown schedule slot '${slotName}'. Use: ${scheduleSlotService.getSlotNames().join(', ')}`);
+      }
 
-      // Step 3: Query tomorrow's bin collections from database
-      console.log('');
-      console.log('Step 3/6: Querying tomorrow\'s bin collections from database...');
-      const tomorrowCollections = await binCollectionDbService.getTomorrowCollections();
-      console.log(`✅ Step 3 complete: Found ${tomorrowCollections.length} bin collections for tomorrow`);
-
-      // Step 4: Query today's events from database
-      console.log('');
-      console.log('Step 4/6: Querying today\'s events from database...');
-      const today = new Date().toISOString().split('T')[0];
-      const events = await dynamoDbService.getEventsByDate(today);
-      console.log(`✅ Step 4 complete: Found ${events.length} events for today (${today})`);
-
-      // Step 5: Format display data
-      console.log('');
-      console.log('Step 5/6: Formatting display data...');
-      const displayData = displayFormatterService.formatDisplayFromDb(events, tomorrowCollections);
-      console.log('✅ Step 5 complete: Display data formatted');
-      console.log('');
-      console.log('Display Data Preview:');
-      console.log('─'.repeat(40));
-      console.log(`Title:     "${displayData.title}"`);
-      console.log(`Message:   "${displayData.message.replace(/\n/g, '\\n')}"`);
-      console.log('─'.repeat(40));
+      const households = await householdService.getHouseholds();
+      console.log(`Updating ${households.length} household(s): ${households.map(h => h.id).join(', ')}`);
 
-      // Step 6: Push to Quote/0 device
-      console.log('');
-      console.log('Step 6/6: Pushing update to Quote/0 device...');
-      await quote0ClientService.updateDisplay(displayData);
-      console.log('✅ Step 6 complete: Update sent to Quote/0');
+      const results = [];
+      for (const household of households) {
+        results.push(await this.executeHouseholdUpdate(household, { force, slot }));
+      }
 
+      const failed = results.filter(r => !r.success);
       const duration = Date.now() - startTime;
       
       console.log('');
       console.log('═'.repeat(80));
-      console.log(`✅ SCHEDULED UPDATE COMPLETED SUCCESSFULLY`);
+      if (failed.length === 0) {
+        console.log(`✅ SCHEDULED UPDATE COMPLETED SUCCESSFULLY`);
+      } else {
+        console.log(`⚠️  SCHEDULED UPDATE COMPLETED WITH ${failed.length} FAILED HOUSEHOLD(S): ${failed.map(r => r.household_id).join(', ')}`);
+      }
+      console.log(`   Households: ${results.length - failed.length}/${results.length} updated`);
       console.log(`   Duration: ${duration}ms`);
       console.log(`   Time: ${new Date().toISOString()}`);
       console.log('═'.repeat(80));
       console.log('');
 
       return {
-        success: true,
+        success: failed.length === 0,
+        slot: slotName,
         duration,
         timestamp: new Date().toISOString(),
-        metrics: {
-          binCollectionsFetched: apiCollections.length,
-          binCollectionsStored: storedCount,
-          tomorrowCollections: tomorrowCollections.length,
-          eventsFound: events.length,
-          displayData: displayData
-        }
+        households: results
       };
 
     } catch (error) {
@@ -113,6 +594,7 @@ class ScheduledUpdateService {
 
       return {
         success: false,
+        slot: slotName,
         duration,
         timestamp: new Date().toISOString(),
         error: error.message,
@@ -120,6 +602,82 @@ class ScheduledUpdateService {
       };
     }
   }
+
+  /**
+   * Run steps 1-6 for one household, following a schedule slot's rules
+   * @param {Object} household - Household (see householdService)
+   * @param {Object} [options] - { force: push even if the display is unchanged, trigger: 'scheduled' (default) or 'manual',
+   *   slot: schedule slot (see scheduleSlotService, defaults to the default slot) }
+   * @returns {Promise<Object>} { household_id, success, metrics } or { household_id, success: false, error };
+   *   metrics.push_id identifies the push history record
+   */
+  async executeHouseholdUpdate(household, { force = false, trigger = 'scheduled', slot = scheduleSlotService.getSlot() } = {}) {
+    console.log('');
+    console.log('─'.repeat(80));
+    console.log(`🏠 Household: ${household.id}${household.name ? ` (${household.name})` : ''}`);
+    console.log(`   Timezone: ${household.timezone}`);
+    console.log(`   Slot: ${slot.name} (${slot.day}'s events${slot.bins ? ', bin reminder' : ''})`);
+    console.log('─'.repeat(80));
+
+    try {
+      // Steps 1-2: Fetch bin collections from the household's provider and store them
+      let apiCollections = [];
+      let storedCount = 0;
+      let changes = { added: [], removed: [], moved: [] };
+      let binSource = null;
+      let binStatus;
+      if (slot.sync_bins) {
+        ({ apiCollections, storedCount, changes, source: binSource, status: binStatus } = await this.syncBinCollections(household));
+      } else {
+        console.log('');
+        console.log(`Steps 1-2/6: Skipped, the ${slot.name} slot does not fetch bin collections`);
+        binStatus = binCollectionService.getFetchStatus(await binCollectionService.getFetchState(household.id));
+      }
+
+      const carriedOver = await this.carryOverEvents(household);
+
+      // Steps 3-5: Query tomorrow's bins and the slot's day's events, format display data
+      const date = scheduleSlotService.getDisplayDate(slot, household.timezone);
+      const { tomorrowCollections, events, pages, displayData } = await this.buildSlotDisplay(household, slot, date);
+
+      // Step 6: Push page 1 to Quote/0 device
+      const { push, push_id: pushId } = await this.pushPage(household, pages, 0, date, { force, trigger, slot: slot.name });
+
+      return {
+        household_id: household.id,
+        success: push !== 'failed',
+        ...(push === 'failed' && { error: 'Quote/0 push failed, queued for retry' }),
+        metrics: {
+          slot: slot.name,
+          date,
+          binsSynced: slot.sync_bins,
+          binCollectionsFetched: apiCollections.length,
+          binCollectionsStored: storedCount,
+          binChanges: changes.added.length + changes.removed.length + changes.moved.length,
+          binSource,
+          binDataAgeHours: binStatus.age_hours,
+          binDataStale: binStatus.stale,
+          binFetchError: binStatus.last_error,
+          tomorrowCollections: tomorrowCollections.length,
+          eventsCarriedOver: carriedOver.length,
+          eventsFound: events.length,
+          pages: pages.length,
+          push,
+          push_id: pushId,
+          displayData: displayData
+        }
+      };
+    } catch (error) {
+      console.error(`❌ Household ${household.id} update failed: ${error.message}`);
+      console.error(error.stack);
+
+      return {
+        household_id: household.id,
+        success: false,
+        error: error.message
+      };
+    }
+  }
 }
 
 module.exports = new ScheduledUpdateService();
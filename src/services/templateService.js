@@ -0,0 +1,272 @@
+/**
+ * Template Service
+ * Renders the display title, signature and empty-state texts from small
+ * templates with {placeholder} substitution
+ *
+ * Templates come from, in increasing priority: the defaults below (the
+ * original layout), the DISPLAY_TEMPLATES environment variable (JSON) and
+ * the household's `templates` attribute.
+ *
+ * Placeholders (for the day being shown):
+ *   {yyyy} {mm} {dd} {m} {d}   Date parts (mm/dd zero-padded)
+ *   {weekday} {wkd}            Weekday name ("Monday", "Mon")
+ *   {month} {mon}              Month name ("February", "Feb")
+ *   {count}                    Number of events
+ *   {bins} {bin_count}         Tomorrow's bins not yet put out ("Red bin, Food waste") and how many;
+ *                              a list too long for its line is shortened to "Red bin +1"
+ *   {countdown:YYYY-MM-DD}     Days until a date
+ *   {countdown:MM-DD}          Days until the next time a day of the year comes round
+ * Write {{ and }} for literal braces.
+ */
+
+const dateUtils = require('../utils/dateUtils');
+
+const DEFAULT_TEMPLATES = {
+  title: '{yyyy}/{mm}/{dd}',     // Title
+  signature: '{bins} tmr',       // Signature when bins go out tomorrow
+  no_bins: '',                   // Signature when no bins go out tomorrow
+  bins_done: 'Bins are out',     // Signature when every bin for tomorrow is out (see POST /api/bins/ack)
+  no_events: '',                 // Message when there are no events
+  done_marker: '',               // Prefix for completed events; empty leaves them out
+  bins_moved: 'Bin day moved'    // First message line the day the bin schedule changes; empty hides it
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const PLACEHOLDER_PATTERN = /\{\{|\}\}|\{([a-z_]+)(?::([^{}]*))?\}/g;
+const SIMPLE_PLACEHOLDERS = ['yyyy', 'mm', 'dd', 'm', 'd', 'weekday', 'wkd', 'month', 'mon', 'count', 'bins', 'bin_count'];
+const MAX_TEMPLATE_LENGTH = 100;
+const MAX_MARKER_LENGTH = 4;
+
+// Values used to check that a template fits when it is saved: the longest
+// weekday and month names and two/three-digit numbers (the bins are the
+// longest list the display can show, see validateTemplates)
+const SAMPLE_CONTEXT = {
+  date: '2026-09-30',
+  eventCount: 10
+};
+
+/**
+ * Load deployment-wide templates from DISPLAY_TEMPLATES over the defaults
+ * @returns {Object} Templates
+ */
+function loadTemplates() {
+  const configured = process.env.DISPLAY_TEMPLATES;
+  if (!configured) return { ...DEFAULT_TEMPLATES };
+
+  try {
+    const parsed = JSON.parse(configured);
+    const errors = validateTemplatesShape(parsed);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    return { ...DEFAULT_TEMPLATES, ...parsed };
+  } catch (error) {
+    console.warn(`[Templates] Ignoring invalid DISPLAY_TEMPLATES: ${error.message}`);
+    return { ...DEFAULT_TEMPLATES };
+  }
+}
+
+/**
+ * Check template names and placeholders (not lengths)
+ * @param {Object} templates - Templates to check
+ * @returns {Array<string>} Validation error messages
+ */
+function validateTemplatesShape(templates) {
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    return ['templates must be an object'];
+  }
+
+  const errors = [];
+  for (const [name, template] of Object.entries(templates)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_TEMPLATES, name)) {
+      errors.push(`Unknown template '${name}'. Use: ${Object.keys(DEFAULT_TEMPLATES).join(', ')}`);
+      continue;
+    }
+    if (typeof template !== 'string') {
+      errors.push(`${name} must be a string`);
+      continue;
+    }
+    if (template.length > MAX_TEMPLATE_LENGTH) {
+      errors.push(`${name} exceeds maximum length of ${MAX_TEMPLATE_LENGTH} characters`);
+      continue;
+    }
+
+    for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+      const [token, placeholder, arg] = match;
+      if (token === '{{' || token === '}}') continue;
+
+      if (placeholder === 'countdown') {
+        if (!/^(\d{4}-)?\d{2}-\d{2}$/.test(arg || '')) {
+          errors.push(`${name}: {countdown} needs a date, e.g. {countdown:2026-12-25} or {countdown:12-25}`);
+        }
+      } else if (!SIMPLE_PLACEHOLDERS.includes(placeholder) || arg !== undefined) {
+        errors.push(`${name}: unknown placeholder '${token}'`);
+      }
+    }
+
+    const stray = template.replace(PLACEHOLDER_PATTERN, '');
+    if (/[{}]/.test(stray)) {
+      errors.push(`${name}: unmatched brace (write {{ or }} for a literal brace)`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Replace a template's placeholders
+ * @param {string} template - Template text
+ * @param {Object} context - Context from buildContext()
+ * @param {string} bins - Value for {bins}
+ * @param {Function} countdown - Renders {countdown:...} (see TemplateService.countdown)
+ * @returns {string} Rendered text
+ */
+function substitute(template, context, bins, countdown) {
+  return (template || '').replace(PLACEHOLDER_PATTERN, (token, placeholder, arg) => {
+    if (token === '{{') return '{';
+    if (token === '}}') return '}';
+    if (placeholder === 'countdown') return countdown(context.date, arg) ?? token;
+    if (placeholder === 'bins') return bins;
+    return context.values[placeholder] ?? token;
+  });
+}
+
+/**
+ * Length of the longest line of a text
+ */
+function longestLine(text) {
+  return Math.max(...text.split('\n').map(line => line.length));
+}
+
+class TemplateService {
+  constructor() {
+    this.defaults = loadTemplates();
+  }
+
+  /**
+   * Templates for a household (household templates over deployment-wide ones)
+   * @param {Object} [household] - Household (see householdService)
+   * @returns {Object} { title, signature, no_bins, bins_done, no_events, done_marker, bins_moved }
+   */
+  getTemplates(household) {
+    return { ...this.defaults, ...(household?.templates || {}) };
+  }
+
+  /**
+   * Build the values placeholders are replaced with
+   * @param {Object} data - { date: 'YYYY-MM-DD', eventCount, bins: Array<string> of friendly bin names }
+   * @returns {Object} Context for render()
+   */
+  buildContext({ date, eventCount = 0, bins = [] }) {
+    const [yyyy, mm, dd] = date.split('-');
+    const weekday = WEEKDAYS[dateUtils.getWeekday(date)];
+    const month = MONTHS[Number(mm) - 1];
+
+    return {
+      date,
+      bins,
+      values: {
+        yyyy,
+        mm,
+        dd,
+        m: String(Number(mm)),
+        d: String(Number(dd)),
+        weekday,
+        wkd: weekday.slice(0, 3),
+        month,
+        mon: month.slice(0, 3),
+        count: String(eventCount),
+        bins: bins.join(', '),
+        bin_count: String(bins.length)
+      }
+    };
+  }
+
+  /**
+   * Render a template
+   * When a line would be longer than maxLength, the {bins} list is shortened
+   * to its first bins and a count of the others ("Red bin +1"), keeping at
+   * least one bin, rather than the line being cut off at the end.
+   * @param {string} template - Template text
+   * @param {Object} context - Context from buildContext()
+   * @param {number} [maxLength] - Longest line the text is shown on
+   * @returns {string} Rendered text (unknown placeholders are left as they are)
+   */
+  render(template, context, maxLength = Infinity) {
+    const countdown = (from, target) => this.countdown(from, target);
+    const bins = context.bins || [];
+
+    let text = substitute(template, context, context.values.bins, countdown);
+    for (let shown = bins.length - 1; shown > 0 && longestLine(text) > maxLength; shown--) {
+      text = substitute(template, context, `${bins.slice(0, shown).join(', ')} +${bins.length - shown}`, countdown);
+    }
+
+    return text;
+  }
+
+  /**
+   * Days from one date until a target date
+   * @param {string} from - Date in YYYY-MM-DD format
+   * @param {string} target - YYYY-MM-DD, or MM-DD for the next occurrence on or after `from`
+   * @returns {string|null} Number of days (negative once a full date has passed), or null if the target is invalid
+   */
+  countdown(from, target) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(target || '')) {
+      return String(dateUtils.daysBetween(from, target));
+    }
+
+    if (/^\d{2}-\d{2}$/.test(target || '')) {
+      const year = Number(from.slice(0, 4));
+      const thisYear = `${year}-${target}`;
+      return String(dateUtils.daysBetween(from, thisYear >= from ? thisYear : `${year + 1}-${target}`));
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate templates before they are saved
+   * Each template is rendered with sample values (longest weekday and month
+   * names, every bin, two-digit counts) and checked against the display limits,
+   * so a {bins} template fits however many bins go out once the list is
+   * shortened (see render). Titles keep room for a page indicator (" 1/2").
+   * @param {Object} templates - Templates to save (any subset of the template names)
+   * @param {Object} limits - { title, line, pageIndicator } maximum lengths and bins: every friendly bin name
+   * @returns {Array<string>} Validation error messages (empty if valid)
+   */
+  validateTemplates(templates, limits) {
+    const errors = validateTemplatesShape(templates);
+    if (errors.length > 0) return errors;
+
+    // Longest names first, so a shortened list keeps the longest name
+    const bins = [...limits.bins].sort((a, b) => b.length - a.length);
+    const context = this.buildContext({ ...SAMPLE_CONTEXT, bins });
+    const maxLengths = {
+      title: limits.title - limits.pageIndicator,
+      signature: limits.line,
+      no_bins: limits.line,
+      bins_done: limits.line,
+      no_events: limits.line,
+      done_marker: MAX_MARKER_LENGTH,
+      bins_moved: limits.line
+    };
+
+    for (const [name, template] of Object.entries(templates)) {
+      const rendered = this.render(template, context, maxLengths[name]);
+      const longest = longestLine(rendered);
+
+      if (name !== 'no_events' && rendered.includes('\n')) {
+        errors.push(`${name} must be a single line`);
+      } else if (name === 'no_events' && rendered.split('\n').length > 3) {
+        errors.push('no_events must be at most 3 lines');
+      } else if (longest > maxLengths[name]) {
+        errors.push(`${name} renders to ${longest} characters with sample values ("${rendered}"), maximum is ${maxLengths[name]}`);
+      }
+    }
+
+    return errors;
+  }
+}
+
+module.exports = new TemplateService();
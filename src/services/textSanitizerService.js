@@ -0,0 +1,157 @@
+/**
+ * Text Sanitizer Service
+ * Makes text safe for the Quote/0 display before it is sent to the device
+ *
+ * The device only renders printable ASCII and cannot show "&". Characters
+ * are handled in this order:
+ *   1. Replacement table (defaults below, overridable with QUOTE0_CHAR_REPLACEMENTS)
+ *   2. Transliteration of accented and other Latin letters (é → e, ß → ss)
+ *   3. Anything else (emoji, symbols, other scripts) is removed
+ */
+
+// Default replacements (see QUOTE0-CHARACTER-OPTIONS.md for the "&" choices)
+const DEFAULT_REPLACEMENTS = {
+  '&': '+',
+  '<': '',
+  '>': '',
+  '\u2018': "'",  // ‘
+  '\u2019': "'",  // ’
+  '\u201C': '"',  // “
+  '\u201D': '"',  // ”
+  '\u2013': '-',  // –
+  '\u2014': '-',  // —
+  '\u2026': '...', // …
+  '\u2022': '*',  // •
+  '\u00A3': 'GBP', // £
+  '\u20AC': 'EUR', // €
+  '\t': ' ',
+  '\r': ''
+};
+
+// Letters that Unicode normalisation does not reduce to ASCII
+const TRANSLITERATIONS = {
+  'ß': 'ss',
+  'æ': 'ae',
+  'Æ': 'AE',
+  'œ': 'oe',
+  'Œ': 'OE',
+  'ø': 'o',
+  'Ø': 'O',
+  'ł': 'l',
+  'Ł': 'L',
+  'đ': 'd',
+  'Đ': 'D',
+  'þ': 'th',
+  'Þ': 'TH'
+};
+
+const SUPPORTED_PATTERN = /^[\x20-\x7E\n]$/;
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+/**
+ * Load the replacement table, merging QUOTE0_CHAR_REPLACEMENTS over the defaults
+ * @returns {Object} Map of character → replacement
+ */
+function loadReplacements() {
+  const overrides = process.env.QUOTE0_CHAR_REPLACEMENTS;
+  if (!overrides) return { ...DEFAULT_REPLACEMENTS };
+
+  try {
+    const parsed = JSON.parse(overrides);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) ||
+        !Object.values(parsed).every(value => typeof value === 'string')) {
+      throw new Error('expected an object of character → string');
+    }
+    return { ...DEFAULT_REPLACEMENTS, ...parsed };
+  } catch (error) {
+    console.warn(`[TextSanitizer] Ignoring invalid QUOTE0_CHAR_REPLACEMENTS: ${error.message}`);
+    return { ...DEFAULT_REPLACEMENTS };
+  }
+}
+
+class TextSanitizerService {
+  constructor() {
+    this.replacements = loadReplacements();
+  }
+
+  /**
+   * Sanitize text for the Quote/0 display
+   * @param {string} text - Text to sanitize (may contain \n line breaks)
+   * @returns {{text: string, changes: Array<{from: string, to: string, count: number}>}}
+   *   Sanitized text and each distinct substitution made (to is '' for removed characters)
+   */
+  sanitize(text) {
+    if (!text) return { text: text || '', changes: [] };
+
+    const changes = new Map();
+    let tidySpaces = false;
+    let result = '';
+
+    for (const char of text) {
+      const replacement = this.replaceChar(char);
+      if (replacement === char) {
+        result += char;
+        continue;
+      }
+
+      if (replacement === '' || replacement.includes(' ')) tidySpaces = true;
+      const change = changes.get(char) || { from: char, to: replacement, count: 0 };
+      change.count++;
+      changes.set(char, change);
+      result += replacement;
+    }
+
+    // Removing characters, or replacing them with padded words, can leave double or trailing spaces
+    if (tidySpaces) {
+      result = result
+        .split('\n')
+        .map(line => line.replace(/ {2,}/g, ' ').trimEnd())
+        .join('\n');
+    }
+
+    if (changes.size > 0) {
+      console.log(`[TextSanitizer] ${this.describeChanges([...changes.values()])}`);
+    }
+
+    return { text: result, changes: [...changes.values()] };
+  }
+
+  /**
+   * Find what a single character should be sent as
+   * @param {string} char - One Unicode code point
+   * @returns {string} Replacement (the character itself if supported, '' to remove it)
+   */
+  replaceChar(char) {
+    if (Object.prototype.hasOwnProperty.call(this.replacements, char)) {
+      return this.replacements[char];
+    }
+
+    if (SUPPORTED_PATTERN.test(char)) return char;
+
+    if (TRANSLITERATIONS[char]) return TRANSLITERATIONS[char];
+
+    // Decompose accented letters (é → e + ´) and drop the accents
+    const decomposed = char.normalize('NFKD').replace(COMBINING_MARKS, '');
+    if (decomposed && [...decomposed].every(c => SUPPORTED_PATTERN.test(c) && c !== '\n')) {
+      return decomposed;
+    }
+
+    return '';
+  }
+
+  /**
+   * Summarize changes for logs and API responses
+   * @param {Array} changes - Changes returned by sanitize()
+   * @returns {string} e.g. `"&" → "+" (x2), "🎉" removed`
+   */
+  describeChanges(changes) {
+    return changes
+      .map(({ from, to, count }) => {
+        const action = to === '' ? 'removed' : `→ "${to}"`;
+        return `"${from}" ${action}${count > 1 ? ` (x${count})` : ''}`;
+      })
+      .join(', ');
+  }
+}
+
+module.exports = new TextSanitizerService();
@@ -0,0 +1,193 @@
+/**
+ * Date Utilities
+ * Household-timezone aware day boundaries shared by every service, so the
+ * title, today's events and tomorrow's bins always agree on what "today" is.
+ *
+ * Calendar dates are passed around as YYYY-MM-DD strings. Arithmetic on them
+ * is done in UTC, where every day is 24 hours long, so DST never shifts a date.
+ */
+
+const HOUSEHOLD_TIMEZONE = process.env.HOUSEHOLD_TIMEZONE || 'Europe/London';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * Cached Intl formatter for a timezone
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} [instant=new Date()] - Instant to convert
+ * @param {string} [timeZone] - IANA timezone (defaults to HOUSEHOLD_TIMEZONE)
+ * @returns {{year: string, month: string, day: string, hour: string, minute: string, second: string}}
+ */
+function getZonedParts(instant = new Date(), timeZone = HOUSEHOLD_TIMEZONE) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(instant)) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+/**
+ * Calendar date of an instant in a timezone
+ * @param {Date|string} [instant=new Date()] - Instant (Date or ISO 8601 string)
+ * @param {string} [timeZone] - IANA timezone (defaults to HOUSEHOLD_TIMEZONE)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function toZonedDate(instant = new Date(), timeZone = HOUSEHOLD_TIMEZONE) {
+  const { year, month, day } = getZonedParts(new Date(instant), timeZone);
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Today's date in the household timezone
+ * @param {string} [timeZone] - IANA timezone (defaults to HOUSEHOLD_TIMEZONE)
+ * @param {Date} [now=new Date()] - Current instant (for testing)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function today(timeZone = HOUSEHOLD_TIMEZONE, now = new Date()) {
+  return toZonedDate(now, timeZone);
+}
+
+/**
+ * Tomorrow's date in the household timezone
+ * @param {string} [timeZone] - IANA timezone (defaults to HOUSEHOLD_TIMEZONE)
+ * @param {Date} [now=new Date()] - Current instant (for testing)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function tomorrow(timeZone = HOUSEHOLD_TIMEZONE, now = new Date()) {
+  return addDays(today(timeZone, now), 1);
+}
+
+/**
+ * Current wall-clock time in the household timezone
+ * @param {string} [timeZone] - IANA timezone (defaults to HOUSEHOLD_TIMEZONE)
+ * @param {Date} [now=new Date()] - Current instant (for testing)
+ * @returns {string} Time in HH:MM format (24-hour)
+ */
+function currentTime(timeZone = HOUSEHOLD_TIMEZONE, now = new Date()) {
+  const { hour, minute } = getZonedParts(now, timeZone);
+  return `${hour}:${minute}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD date string as a UTC midnight Date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Date} Date at 00:00 UTC
+ */
+function toUtcDate(date) {
+  return new Date(`${date}T00:00:00Z`);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date string
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {string} Resulting date in YYYY-MM-DD format
+ */
+function addDays(date, days) {
+  const d = toUtcDate(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ * @param {string} from - Date in YYYY-MM-DD format
+ * @param {string} to - Date in YYYY-MM-DD format
+ * @returns {number} Days (negative if to is before from)
+ */
+function daysBetween(from, to) {
+  return Math.round((toUtcDate(to) - toUtcDate(from)) / DAY_MS);
+}
+
+/**
+ * Day of the week of a YYYY-MM-DD date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+function getWeekday(date) {
+  return toUtcDate(date).getUTCDay();
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * Times skipped by a DST change resolve to the same wall time after the
+ * change (e.g. 01:30 on the spring-forward day in London becomes 02:30 BST).
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM or HH:MM:SS format
+ * @param {string} [timeZone] - IANA timezone (defaults to HOUSEHOLD_TIMEZONE)
+ * @returns {Date} The instant
+ */
+function zonedTimeToInstant(date, time, timeZone = HOUSEHOLD_TIMEZONE) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute, second = 0] = time.split(':').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Guess using the offset at the wall-clock time, then correct once for DST edges
+  let instant = wallClockAsUtc - getOffsetMs(new Date(wallClockAsUtc), timeZone);
+  const corrected = wallClockAsUtc - getOffsetMs(new Date(instant), timeZone);
+  if (corrected !== instant) {
+    instant = Math.max(instant, corrected);
+  }
+
+  return new Date(instant);
+}
+
+/**
+ * UTC offset of a timezone at an instant
+ * @param {Date} instant - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getOffsetMs(instant, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(instant, timeZone);
+  const wallClockAsUtc = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  return wallClockAsUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * Check that a string is a valid IANA timezone
+ * @param {string} timeZone - Timezone name, e.g. Europe/London
+ * @returns {boolean} True if Intl recognises it
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = {
+  HOUSEHOLD_TIMEZONE,
+  getZonedParts,
+  toZonedDate,
+  today,
+  tomorrow,
+  currentTime,
+  toUtcDate,
+  addDays,
+  daysBetween,
+  getWeekday,
+  zonedTimeToInstant,
+  isValidTimeZone
+};
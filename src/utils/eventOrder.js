@@ -0,0 +1,33 @@
+/**
+ * Event Ordering
+ * Shared ordering for events that share a date, so listings and the
+ * Quote/0 message lay events out the same way
+ */
+
+/**
+ * Compare two events by position, then creation time, then id
+ * Events stored before positions existed count as position 0.
+ * @param {Object} a - Event object
+ * @param {Object} b - Event object
+ * @returns {number} Sort order
+ */
+function compareEvents(a, b) {
+  const positionDiff = (a.position || 0) - (b.position || 0);
+  if (positionDiff !== 0) return positionDiff;
+
+  const createdDiff = (a.created_at || '').localeCompare(b.created_at || '');
+  if (createdDiff !== 0) return createdDiff;
+
+  return String(a.id || '').localeCompare(String(b.id || ''));
+}
+
+/**
+ * Return a sorted copy of the events
+ * @param {Array} events - Array of event objects
+ * @returns {Array} Events in display order
+ */
+function sortEvents(events) {
+  return [...(events || [])].sort(compareEvents);
+}
+
+module.exports = { compareEvents, sortEvents };
@@ -0,0 +1,190 @@
+/**
+ * Test Script for Date Utilities (household timezone and DST transitions, and the dates the display uses)
+ * Run with: node test-date-utils.js
+ */
+
+const assert = require('assert');
+
+const dateUtils = require('./src/utils/dateUtils');
+const displayFormatterService = require('./src/services/displayFormatterService');
+const icalService = require('./src/services/icalService');
+const scheduledUpdateService = require('./src/services/scheduledUpdateService');
+const scheduleSlotService = require('./src/services/scheduleSlotService');
+const binCollectionDbService = require('./src/services/binCollectionDbService');
+const binChangeService = require('./src/services/binChangeService');
+const dynamoDbService = require('./src/services/dynamoDbService');
+const recurringEventService = require('./src/services/recurringEventService');
+const { createProvider } = require('./src/services/binProviders');
+
+const LONDON = 'Europe/London';
+
+const tests = [
+  // today(): UTC date and household date disagree for the first hour after midnight during BST
+  ['today() in GMT matches the UTC date', () => {
+    assert.strictEqual(dateUtils.today(LONDON, new Date('2026-01-15T23:30:00Z')), '2026-01-15');
+  }],
+  ['today() in BST is a day ahead of UTC between 23:00 and 00:00 UTC', () => {
+    assert.strictEqual(dateUtils.today(LONDON, new Date('2026-06-30T23:10:00Z')), '2026-07-01');
+  }],
+
+  // Spring forward: 2026-03-29 01:00 UTC (01:00 GMT → 02:00 BST)
+  ['today() just before spring forward', () => {
+    assert.strictEqual(dateUtils.today(LONDON, new Date('2026-03-28T23:30:00Z')), '2026-03-28');
+    assert.strictEqual(dateUtils.tomorrow(LONDON, new Date('2026-03-28T23:30:00Z')), '2026-03-29');
+  }],
+  ['today() on the first BST night', () => {
+    assert.strictEqual(dateUtils.today(LONDON, new Date('2026-03-29T23:30:00Z')), '2026-03-30');
+    assert.strictEqual(dateUtils.tomorrow(LONDON, new Date('2026-03-29T23:30:00Z')), '2026-03-31');
+  }],
+
+  // Fall back: 2026-10-25 01:00 UTC (02:00 BST → 01:00 GMT)
+  ['today() on the last BST night', () => {
+    assert.strictEqual(dateUtils.today(LONDON, new Date('2026-10-24T23:30:00Z')), '2026-10-25');
+  }],
+  ['today() during the repeated hour', () => {
+    assert.strictEqual(dateUtils.today(LONDON, new Date('2026-10-25T00:30:00Z')), '2026-10-25');
+    assert.strictEqual(dateUtils.today(LONDON, new Date('2026-10-25T01:30:00Z')), '2026-10-25');
+  }],
+  ['today() on the first GMT night', () => {
+    assert.strictEqual(dateUtils.today(LONDON, new Date('2026-10-25T23:30:00Z')), '2026-10-25');
+  }],
+
+  // The scheduled run at 01:10 UTC
+  ['scheduled run at 01:10 UTC sees the same date in GMT and BST', () => {
+    assert.strictEqual(dateUtils.today(LONDON, new Date('2026-01-15T01:10:00Z')), '2026-01-15');
+    assert.strictEqual(dateUtils.today(LONDON, new Date('2026-07-15T01:10:00Z')), '2026-07-15');
+  }],
+
+  // Date arithmetic never drifts across DST changes
+  ['addDays() across spring forward and fall back', () => {
+    assert.strictEqual(dateUtils.addDays('2026-03-28', 1), '2026-03-29');
+    assert.strictEqual(dateUtils.addDays('2026-03-29', 1), '2026-03-30');
+    assert.strictEqual(dateUtils.addDays('2026-10-25', 1), '2026-10-26');
+    assert.strictEqual(dateUtils.addDays('2026-10-26', -2), '2026-10-24');
+  }],
+  ['daysBetween() across DST', () => {
+    assert.strictEqual(dateUtils.daysBetween('2026-03-28', '2026-03-30'), 2);
+    assert.strictEqual(dateUtils.daysBetween('2026-10-24', '2026-10-26'), 2);
+  }],
+
+  // Instant → wall clock
+  ['currentTime() in GMT and BST', () => {
+    assert.strictEqual(dateUtils.currentTime(LONDON, new Date('2026-01-15T08:05:00Z')), '08:05');
+    assert.strictEqual(dateUtils.currentTime(LONDON, new Date('2026-06-30T23:10:00Z')), '00:10');
+  }],
+
+  // Wall-clock → instant
+  ['zonedTimeToInstant() in GMT and BST', () => {
+    assert.strictEqual(dateUtils.zonedTimeToInstant('2026-01-15', '08:30', LONDON).toISOString(), '2026-01-15T08:30:00.000Z');
+    assert.strictEqual(dateUtils.zonedTimeToInstant('2026-07-01', '08:30', LONDON).toISOString(), '2026-07-01T07:30:00.000Z');
+  }],
+  ['zonedTimeToInstant() for a time skipped by spring forward', () => {
+    // 01:30 does not exist on 2026-03-29 in London; it resolves to 02:30 BST
+    assert.strictEqual(dateUtils.zonedTimeToInstant('2026-03-29', '01:30', LONDON).toISOString(), '2026-03-29T01:30:00.000Z');
+  }],
+  ['zonedTimeToInstant() for the repeated hour on fall back', () => {
+    const instant = dateUtils.zonedTimeToInstant('2026-10-25', '01:30', LONDON);
+    assert.ok(['2026-10-25T00:30:00.000Z', '2026-10-25T01:30:00.000Z'].includes(instant.toISOString()));
+  }],
+
+  // Consumers
+  ['formatTitle() uses the given household date', () => {
+    const date = dateUtils.today(LONDON, new Date('2026-03-29T23:30:00Z'));
+    assert.strictEqual(displayFormatterService.formatTitle(date), '2026/03/30');
+  }],
+  ['static bin provider starts from today in the household timezone', async () => {
+    // UTC+14 and UTC-11 are never on the same date
+    const dates = [-2, -1, 0, 1, 2].map(days => dateUtils.addDays(dateUtils.today('UTC'), days));
+    const bin_schedule = { collections: dates.map(date => ({ service: 'Grey bin', date })) };
+
+    for (const timezone of ['Pacific/Kiritimati', 'Pacific/Pago_Pago']) {
+      const collections = await createProvider({ bin_provider: 'static', bin_schedule, timezone }).fetchCollections();
+      assert.strictEqual(collections[0].date, dateUtils.today(timezone));
+    }
+  }],
+  ['signature shortens the bin list to fit the line on a three-bin day', () => {
+    const collections = ['Domestic Waste Collection Service', 'Recycling Collection Service', 'Food Waste Collection Service']
+      .map(service => ({ service }));
+    assert.strictEqual(displayFormatterService.formatSignatureFromDb(collections), 'Grey bin, Red bin +1 tmr');
+    assert.deepStrictEqual(displayFormatterService.validateTemplates({ signature: '{bins} tmr' }), []);
+    assert.strictEqual(displayFormatterService.validateTemplates({ signature: 'Collect {bins} tomorrow' }).length, 1);
+  }],
+  ['iCalendar UTC times land on the household date', () => {
+    const [vevent] = icalService.parseCalendar([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'DTSTART:20260630T233000Z',
+      'SUMMARY:Late call',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n'));
+    assert.strictEqual(vevent.start.date, '2026-07-01');
+    assert.strictEqual(vevent.start.time, '00:30');
+  }],
+  ['iCalendar export writes BST event times in UTC and imports them back', () => {
+    const text = icalService.serializeCalendar({
+      events: [{ id: 'e1', date: '2026-07-10', event: 'Dentist', start_time: '14:00', end_time: '15:30' }],
+      binName: service => service,
+      timeZone: LONDON
+    });
+    assert.ok(text.includes('\r\nDTSTART:20260710T130000Z\r\n'));
+    assert.ok(!text.includes('TZID'));
+    const [vevent] = icalService.parseCalendar(text, LONDON);
+    assert.deepStrictEqual([vevent.start.date, vevent.start.time, vevent.end.time], ['2026-07-10', '14:00', '15:30']);
+  }],
+  ['preview of a future date reminds of the bins due the day after it', async () => {
+    // Stored data, read without a database: Red bin on Christmas Day, Food waste every other day
+    const changesOn = [];
+    binCollectionDbService.getBinCollectionsByDate = async (householdId, date) => [{
+      date,
+      service: date === '2026-12-25' ? 'Recycling Collection Service' : 'Food Waste Collection Service'
+    }];
+    binChangeService.hasChangeOn = async (householdId, date) => { changesOn.push(date); return false; };
+    dynamoDbService.getEventsByDate = async () => [];
+    recurringEventService.getOccurrencesForDate = async () => [];
+
+    const household = { id: 'test', timezone: LONDON };
+    const preview = await scheduledUpdateService.previewDisplay(household, '2026-12-24');
+    assert.strictEqual(preview.display.title, '2026/12/24');
+    assert.strictEqual(preview.display.signature, 'Red bin tmr');
+    assert.deepStrictEqual(changesOn, ['2026-12-24']);
+
+    // The evening slot shows the next day's events on the evening before
+    const evening = await scheduledUpdateService.buildSlotDisplay(household, scheduleSlotService.getSlot('evening'), '2026-12-25');
+    assert.strictEqual(evening.displayData.signature, 'Red bin tmr');
+  }]
+];
+
+let failed = 0;
+
+console.log('================================================================================');
+console.log('TESTING DATE UTILITIES');
+console.log('Household timezone:', dateUtils.HOUSEHOLD_TIMEZONE);
+console.log('================================================================================');
+
+async function run() {
+  for (const [name, test] of tests) {
+    try {
+      const log = console.log;
+      console.log = () => {}; // Keep the services' step logging out of the results
+      try {
+        await test();
+      } finally {
+        console.log = log;
+      }
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${name}`);
+      console.error(`   ${error.message}`);
+    }
+  }
+
+  console.log('================================================================================');
+  console.log(`${tests.length - failed}/${tests.length} passed`);
+  console.log('================================================================================');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -1,6 +1,6 @@
 /**
  * Test Script for Scheduled Update Service
- * Run with: node test-scheduled-update.js
+ * Run with: node test-scheduled-update.js [slot]   (morning, midday, evening; default: default)
  */
 
 require('dotenv').config();
@@ -11,11 +11,12 @@ async function test() {
   console.log('================================================================================');
   console.log('TESTING SCHEDULED UPDATE SERVICE');
   console.log('Time:', new Date().toISOString());
+  console.log('Slot:', process.argv[2] || 'default');
   console.log('================================================================================');
   console.log('');
 
   try {
-    const result = await scheduledUpdateService.executeUpdate();
+    const result = await scheduledUpdateService.executeUpdate({ slot: process.argv[2] });
     
     console.log('');
     console.log('================================================================================');